@@ -0,0 +1,660 @@
+/**
+ * Algebraic Simplifier
+ * Rewrites a parsed expression step by step using named Boolean laws
+ *
+ * The derivation runs in phases:
+ *   1. Definitions  - XOR, XNOR, NAND, NOR, → and ↔ in terms of AND/OR/NOT
+ *   2. NOT inward   - De Morgan and double negation
+ *   3. Distribution - AND over OR until the expression is a sum of products
+ *   4. Reduction    - identity, null, idempotence, complement, absorption
+ *                     and consensus, simplest law first, until nothing applies
+ * The result is cross-checked against the Quine-McCluskey answer from
+ * KMapSimplifier.
+ */
+
+// Under Node the sibling modules are loaded here; in the browser they are globals
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof BooleanParser === 'undefined') globalThis.BooleanParser = require('./parser.js');
+    if (typeof TruthTableGenerator === 'undefined') globalThis.TruthTableGenerator = require('./truthTable.js');
+    if (typeof KMapSimplifier === 'undefined') globalThis.KMapSimplifier = require('./simplifier.js');
+}
+
+class AlgebraicSimplifier {
+    constructor() {
+        this.parser = new BooleanParser();
+        this.truthTableGen = new TruthTableGenerator();
+        this.kmapSimplifier = new KMapSimplifier();
+
+        // Guards against runaway derivations on large inputs
+        this.maxVariables = 8;
+        this.maxSteps = 200;
+        this.maxTerms = 256;
+    }
+
+    /**
+     * Simplify a parsed expression and record each rewrite
+     * @param {Object} parsedExpression - Parsed expression from BooleanParser
+     * @returns {Object} - {steps: [{law, rule, expression}], result, crossCheck}
+     */
+    simplify(parsedExpression) {
+        const { variables, tree } = parsedExpression;
+        if (!tree) {
+            throw new Error('Step-by-step simplification needs an expression, not a minterm list');
+        }
+        if (variables.length > this.maxVariables) {
+            throw new Error(`Step-by-step simplification supports at most ${this.maxVariables} variables`);
+        }
+
+        this.variables = variables;
+        const steps = [];
+        const record = (law, rule, expression) => {
+            if (steps.length >= this.maxSteps) {
+                throw new Error(`Simplification stopped after ${this.maxSteps} steps`);
+            }
+            steps.push({ law, rule, expression });
+        };
+
+        // Phases 1-3 work on the expression tree
+        let node = this.flatten(this.fromTree(tree));
+        const treePasses = [
+            () => this.expandDefinitions(node),
+            () => this.applyDeMorgan(node),
+            () => this.removeDoubleNegation(node),
+            () => this.complementConstants(node),
+            () => this.distribute(node)
+        ];
+
+        let rewrite = this.firstRewrite(treePasses);
+        while (rewrite) {
+            node = this.flatten(rewrite.node);
+            record(rewrite.law, rewrite.rule, this.formatNode(node));
+            rewrite = this.firstRewrite(treePasses);
+        }
+
+        // Phase 4 works on the list of product terms
+        let terms = this.toTerms(node);
+        const termPasses = [
+            () => this.applyNull(terms),
+            () => this.applyIdentity(terms),
+            () => this.applyProductIdempotence(terms),
+            () => this.applyProductComplement(terms),
+            () => this.applySumIdempotence(terms),
+            () => this.applySumComplement(terms),
+            () => this.applyAbsorption(terms),
+            () => this.applyCombining(terms),
+            () => this.applyRedundantLiteral(terms),
+            () => this.applyConsensus(terms)
+        ];
+
+        rewrite = this.firstRewrite(termPasses);
+        while (rewrite) {
+            terms = rewrite.terms;
+            record(rewrite.law, rewrite.rule, this.formatTerms(terms));
+            rewrite = this.firstRewrite(termPasses);
+        }
+
+        const result = this.formatTerms(terms);
+        return {
+            original: this.parser.format(tree),
+            steps: steps,
+            result: result,
+            crossCheck: this.crossCheck(tree, terms)
+        };
+    }
+
+    /**
+     * Run passes in order and return the first rewrite that applies
+     */
+    firstRewrite(passes) {
+        for (const pass of passes) {
+            const rewrite = pass();
+            if (rewrite) return rewrite;
+        }
+        return null;
+    }
+
+    // ===== Expression tree (phases 1-3) =====
+
+    /**
+     * Convert a parser tree to n-ary form: {type: 'and'|'or', operands}
+     * for AND/OR, other binary operators kept as {type: 'binary'}
+     */
+    fromTree(node) {
+        switch (node.type) {
+            case 'variable':
+            case 'constant':
+                return node;
+            case 'not':
+                return { type: 'not', operand: this.fromTree(node.operand) };
+            default:
+                if (node.operator === 'AND' || node.operator === 'OR') {
+                    return {
+                        type: node.operator.toLowerCase(),
+                        operands: [this.fromTree(node.left), this.fromTree(node.right)]
+                    };
+                }
+                return {
+                    type: 'binary',
+                    operator: node.operator,
+                    left: this.fromTree(node.left),
+                    right: this.fromTree(node.right)
+                };
+        }
+    }
+
+    /**
+     * Convert n-ary form back to a parser tree, for printing and evaluation
+     */
+    toTree(node) {
+        switch (node.type) {
+            case 'variable':
+            case 'constant':
+                return node;
+            case 'not':
+                return { type: 'not', operand: this.toTree(node.operand) };
+            case 'binary':
+                return { ...node, left: this.toTree(node.left), right: this.toTree(node.right) };
+            default:
+                return node.operands.map(operand => this.toTree(operand)).reduce((left, right) => ({
+                    type: 'binary',
+                    operator: node.type.toUpperCase(),
+                    left,
+                    right
+                }));
+        }
+    }
+
+    /**
+     * Merge nested ANDs and ORs (associativity); not recorded as a step
+     */
+    flatten(node) {
+        if (node.type === 'not') return { type: 'not', operand: this.flatten(node.operand) };
+        if (node.type === 'binary') {
+            return { ...node, left: this.flatten(node.left), right: this.flatten(node.right) };
+        }
+        if (node.type !== 'and' && node.type !== 'or') return node;
+
+        const operands = [];
+        node.operands.map(operand => this.flatten(operand)).forEach(operand => {
+            if (operand.type === node.type) {
+                operands.push(...operand.operands);
+            } else {
+                operands.push(operand);
+            }
+        });
+        return operands.length === 1 ? operands[0] : { type: node.type, operands };
+    }
+
+    /**
+     * Apply a node rewrite everywhere it matches, outermost first
+     * @param {Object} node - Tree to rewrite
+     * @param {Function} rewriteNode - Returns a replacement node, or null
+     * @returns {Object|null} - Rewritten tree, or null if nothing matched
+     */
+    rewriteAll(node, rewriteNode) {
+        let changed = false;
+
+        const visit = (current) => {
+            const replaced = rewriteNode(current);
+            if (replaced) {
+                changed = true;
+                return replaced;
+            }
+            if (current.type === 'not') return { type: 'not', operand: visit(current.operand) };
+            if (current.type === 'binary') {
+                return { ...current, left: visit(current.left), right: visit(current.right) };
+            }
+            if (current.type === 'and' || current.type === 'or') {
+                return { type: current.type, operands: current.operands.map(visit) };
+            }
+            return current;
+        };
+
+        const result = visit(node);
+        return changed ? result : null;
+    }
+
+    /**
+     * Definitions: rewrite XOR, XNOR, NAND, NOR, → and ↔ with AND/OR/NOT
+     */
+    expandDefinitions(node) {
+        const not = operand => ({ type: 'not', operand });
+        const and = (...operands) => ({ type: 'and', operands });
+        const or = (...operands) => ({ type: 'or', operands });
+        const definitions = {
+            'XOR': (x, y) => or(and(x, not(y)), and(not(x), y)),
+            'XNOR': (x, y) => or(and(x, y), and(not(x), not(y))),
+            'IFF': (x, y) => or(and(x, y), and(not(x), not(y))),
+            'NAND': (x, y) => not(and(x, y)),
+            'NOR': (x, y) => not(or(x, y)),
+            'IMPLIES': (x, y) => or(not(x), y)
+        };
+
+        const used = new Set();
+        const result = this.rewriteAll(node, current => {
+            if (current.type !== 'binary') return null;
+            used.add(current.operator);
+            return definitions[current.operator](current.left, current.right);
+        });
+        if (!result) return null;
+
+        const rules = {
+            'XOR': "X ⊕ Y = XY' + X'Y",
+            'XNOR': "X ⊙ Y = XY + X'Y'",
+            'IFF': "X ↔ Y = XY + X'Y'",
+            'NAND': "X ↑ Y = (XY)'",
+            'NOR': "X ↓ Y = (X + Y)'",
+            'IMPLIES': "X → Y = X' + Y"
+        };
+        return {
+            node: result,
+            law: 'Definition',
+            rule: [...used].map(operator => rules[operator]).join('; ')
+        };
+    }
+
+    /**
+     * De Morgan: (XY)' = X' + Y' and (X + Y)' = X'Y'
+     */
+    applyDeMorgan(node) {
+        const result = this.rewriteAll(node, current => {
+            if (current.type !== 'not') return null;
+            const inner = current.operand;
+            if (inner.type !== 'and' && inner.type !== 'or') return null;
+            return {
+                type: inner.type === 'and' ? 'or' : 'and',
+                operands: inner.operands.map(operand => ({ type: 'not', operand }))
+            };
+        });
+        return result && { node: result, law: 'De Morgan', rule: "(XY)' = X' + Y', (X + Y)' = X'Y'" };
+    }
+
+    /**
+     * Double negation: X'' = X
+     */
+    removeDoubleNegation(node) {
+        const result = this.rewriteAll(node, current =>
+            current.type === 'not' && current.operand.type === 'not' ? current.operand.operand : null
+        );
+        return result && { node: result, law: 'Double negation', rule: "X'' = X" };
+    }
+
+    /**
+     * Complement of a constant: 0' = 1, 1' = 0
+     */
+    complementConstants(node) {
+        const result = this.rewriteAll(node, current =>
+            current.type === 'not' && current.operand.type === 'constant'
+                ? { type: 'constant', value: 1 - current.operand.value }
+                : null
+        );
+        return result && { node: result, law: 'Complement', rule: "0' = 1, 1' = 0" };
+    }
+
+    /**
+     * Distribution: X(Y + Z) = XY + XZ, applied to every product over a sum
+     */
+    distribute(node) {
+        const result = this.rewriteAll(node, current => {
+            if (current.type !== 'and') return null;
+            const index = current.operands.findIndex(operand => operand.type === 'or');
+            if (index === -1) return null;
+
+            const sum = current.operands[index];
+            if (sum.operands.length * this.countTerms(current) > this.maxTerms) {
+                throw new Error(`Expression expands to more than ${this.maxTerms} product terms`);
+            }
+            return {
+                type: 'or',
+                operands: sum.operands.map(operand => ({
+                    type: 'and',
+                    operands: current.operands.map((factor, i) => i === index ? operand : factor)
+                }))
+            };
+        });
+        return result && { node: result, law: 'Distribution', rule: 'X(Y + Z) = XY + XZ' };
+    }
+
+    /**
+     * Upper bound on product terms a node expands to
+     */
+    countTerms(node) {
+        if (node.type === 'or') return node.operands.reduce((sum, operand) => sum + this.countTerms(operand), 0);
+        if (node.type === 'and') return node.operands.reduce((product, operand) => product * this.countTerms(operand), 1);
+        return 1;
+    }
+
+    // ===== Sum of products (phase 4) =====
+
+    /**
+     * Convert a sum-of-products tree to a list of terms. Each term is a
+     * list of items: literals {name, negated} or constants {value}.
+     */
+    toTerms(node) {
+        const toItem = (current) => {
+            if (current.type === 'variable') return { name: current.name, negated: false };
+            if (current.type === 'constant') return { value: current.value };
+            if (current.type === 'not' && current.operand.type === 'variable') {
+                return { name: current.operand.name, negated: true };
+            }
+            throw new Error('Expression is not in sum-of-products form');
+        };
+        const toTerm = current => current.type === 'and' ? current.operands.map(toItem) : [toItem(current)];
+
+        return node.type === 'or' ? node.operands.map(toTerm) : [toTerm(node)];
+    }
+
+    /**
+     * Null: X·0 = 0 drops the term; X + 1 = 1 ends the sum
+     */
+    applyNull(terms) {
+        if (terms.length > 1 && terms.some(term => this.isConstantTerm(term, 1))) {
+            return { terms: [[{ value: 1 }]], law: 'Null', rule: 'X + 1 = 1' };
+        }
+        const zeroed = terms.findIndex(term => term.length > 1 && term.some(item => item.value === 0));
+        if (zeroed !== -1) {
+            const next = terms.map((term, i) => i === zeroed ? [{ value: 0 }] : term);
+            return { terms: next, law: 'Null', rule: 'X·0 = 0' };
+        }
+        return null;
+    }
+
+    /**
+     * Identity: X·1 = X and X + 0 = X
+     */
+    applyIdentity(terms) {
+        let changed = false;
+        const next = terms.map(term => {
+            if (term.length < 2 || !term.some(item => item.value === 1)) return term;
+            changed = true;
+            // A product of nothing but 1s is 1
+            const kept = term.filter(item => item.value !== 1);
+            return kept.length > 0 ? kept : [{ value: 1 }];
+        });
+        if (changed) {
+            return { terms: next, law: 'Identity', rule: 'X·1 = X' };
+        }
+        if (terms.length > 1 && terms.some(term => this.isConstantTerm(term, 0))) {
+            const next = terms.filter(term => !this.isConstantTerm(term, 0));
+            return { terms: next.length > 0 ? next : [[{ value: 0 }]], law: 'Identity', rule: 'X + 0 = X' };
+        }
+        return null;
+    }
+
+    /**
+     * Idempotence within a product: XX = X
+     */
+    applyProductIdempotence(terms) {
+        let changed = false;
+        const next = terms.map(term => {
+            const kept = term.filter((item, i) =>
+                term.findIndex(other => this.sameItem(item, other)) === i
+            );
+            if (kept.length !== term.length) changed = true;
+            return kept;
+        });
+        return changed ? { terms: next, law: 'Idempotence', rule: 'XX = X' } : null;
+    }
+
+    /**
+     * Complement within a product: XX' = 0
+     */
+    applyProductComplement(terms) {
+        let changed = false;
+        const next = terms.map(term => {
+            const contradiction = term.some(item => item.name !== undefined &&
+                term.some(other => other.name === item.name && other.negated !== item.negated));
+            if (!contradiction) return term;
+            changed = true;
+            return [{ value: 0 }];
+        });
+        return changed ? { terms: next, law: 'Complement', rule: "XX' = 0" } : null;
+    }
+
+    /**
+     * Idempotence within the sum: X + X = X
+     */
+    applySumIdempotence(terms) {
+        const next = terms.filter((term, i) => terms.findIndex(other => this.sameTerm(term, other)) === i);
+        return next.length !== terms.length ? { terms: next, law: 'Idempotence', rule: 'X + X = X' } : null;
+    }
+
+    /**
+     * Complement within the sum: X + X' = 1
+     */
+    applySumComplement(terms) {
+        const found = terms.some(term => term.length === 1 && term[0].name !== undefined &&
+            terms.some(other => other.length === 1 && other[0].name === term[0].name &&
+                other[0].negated !== term[0].negated));
+        return found ? { terms: [[{ value: 1 }]], law: 'Complement', rule: "X + X' = 1" } : null;
+    }
+
+    /**
+     * Absorption: X + XY = X
+     */
+    applyAbsorption(terms) {
+        const next = terms.filter(term => !terms.some(other =>
+            other !== term && other.length < term.length && this.containsAll(term, other)
+        ));
+        return next.length !== terms.length ? { terms: next, law: 'Absorption', rule: 'X + XY = X' } : null;
+    }
+
+    /**
+     * Complement (combining): XY + XY' = X(Y + Y') = X. Every pair that
+     * combines is merged; a term may take part in several merges (X = X + X).
+     */
+    applyCombining(terms) {
+        const merged = [];
+        const used = new Set();
+
+        terms.forEach((term, i) => {
+            terms.forEach((other, j) => {
+                if (j <= i || term.length !== other.length) return;
+                const difference = term.filter(item => !other.some(o => this.sameItem(item, o)));
+                if (difference.length !== 1 || difference[0].name === undefined) return;
+
+                const opposite = other.find(o => o.name === difference[0].name);
+                if (!opposite || opposite.negated === difference[0].negated) return;
+
+                const combined = term.filter(item => item !== difference[0]);
+                used.add(i);
+                used.add(j);
+                if (!merged.some(existing => this.sameTerm(existing, combined))) {
+                    merged.push(combined.length > 0 ? combined : [{ value: 1 }]);
+                }
+            });
+        });
+
+        if (merged.length === 0) return null;
+
+        const next = [...terms.filter((_, i) => !used.has(i)), ...merged];
+        return { terms: next, law: 'Complement', rule: "XY + XY' = X(Y + Y') = X" };
+    }
+
+    /**
+     * Absorption (redundant literal): XY + XY'Z = XY + XZ
+     */
+    applyRedundantLiteral(terms) {
+        for (const term of terms) {
+            for (const other of terms) {
+                if (other === term || other.length <= 1) continue;
+
+                // other must contain all of term except one literal, which it has complemented
+                const flipped = term.filter(item => item.name !== undefined &&
+                    other.some(o => o.name === item.name && o.negated !== item.negated));
+                if (flipped.length !== 1) continue;
+
+                const rest = term.filter(item => item !== flipped[0]);
+                if (!this.containsAll(other, rest)) continue;
+
+                const reduced = other.filter(o => !(o.name === flipped[0].name && o.negated !== flipped[0].negated));
+                const next = terms.map(t => t === other ? reduced : t);
+                return { terms: next, law: 'Absorption', rule: "XY + XY'Z = XY + XZ" };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Consensus: XY + X'Z + YZ = XY + X'Z, removing one redundant term at a time
+     */
+    applyConsensus(terms) {
+        for (const term of terms) {
+            const others = terms.filter(other => other !== term);
+            for (const first of others) {
+                for (const second of others) {
+                    if (first === second) continue;
+
+                    const opposed = first.filter(item => item.name !== undefined &&
+                        second.some(o => o.name === item.name && o.negated !== item.negated));
+                    if (opposed.length !== 1) continue;
+
+                    const consensus = [
+                        ...first.filter(item => item !== opposed[0]),
+                        ...second.filter(item => item.name !== opposed[0].name)
+                    ];
+                    if (this.containsAll(term, consensus)) {
+                        return {
+                            terms: others,
+                            law: 'Consensus',
+                            rule: "XY + X'Z + YZ = XY + X'Z"
+                        };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    isConstantTerm(term, value) {
+        return term.length === 1 && term[0].value === value;
+    }
+
+    sameItem(a, b) {
+        return a.name !== undefined
+            ? a.name === b.name && a.negated === b.negated
+            : a.value === b.value;
+    }
+
+    containsAll(term, items) {
+        return items.every(item => term.some(other => this.sameItem(item, other)));
+    }
+
+    sameTerm(a, b) {
+        return a.length === b.length && this.containsAll(a, b);
+    }
+
+    // ===== Output =====
+
+    formatNode(node) {
+        return this.parser.format(this.toTree(node));
+    }
+
+    /**
+     * Format a term list as an SOP expression, literals in variable order
+     */
+    formatTerms(terms) {
+        return this.parser.format(this.termsToTree(terms));
+    }
+
+    termsToTree(terms) {
+        const rank = item => item.name !== undefined ? this.variables.indexOf(item.name) : -1;
+        const toNode = item => {
+            if (item.name === undefined) return { type: 'constant', value: item.value };
+            const variable = { type: 'variable', name: item.name };
+            return item.negated ? { type: 'not', operand: variable } : variable;
+        };
+
+        return this.toTree({
+            type: 'or',
+            operands: terms.map(term => ({
+                type: 'and',
+                operands: [...term].sort((a, b) => rank(a) - rank(b)).map(toNode)
+            }))
+        });
+    }
+
+    /**
+     * Compare the algebraic result with the Quine-McCluskey minimum
+     * @param {Object} tree - Original expression tree
+     * @param {Array} terms - Final product terms
+     * @returns {Object} - {kmapSop, equivalent, cost, kmapCost, minimal}
+     */
+    crossCheck(tree, terms) {
+        const variables = this.variables;
+        const original = this.truthTableGen.generate({ variables, tree });
+        const result = this.truthTableGen.generate({ variables, tree: this.termsToTree(terms) });
+
+        const kmap = this.kmapSimplifier.simplify(original);
+
+        const cost = this.termCost(terms);
+        const kmapCost = this.implicantCost(kmap.essentialPrimeImplicants, original.minterms.length, variables.length);
+
+        return {
+            kmapSop: kmap.sop,
+            equivalent: result.onSet.equals(original.onSet),
+            cost: cost,
+            kmapCost: kmapCost,
+            minimal: cost.terms <= kmapCost.terms && cost.literals <= kmapCost.literals
+        };
+    }
+
+    /**
+     * Count terms and literals of a term list (constants count as no terms)
+     */
+    termCost(terms) {
+        const products = terms.filter(term => term.some(item => item.name !== undefined));
+        return {
+            terms: products.length,
+            literals: products.reduce((sum, term) => sum + term.length, 0)
+        };
+    }
+
+    /**
+     * Count terms and literals of the Quine-McCluskey cover
+     */
+    implicantCost(implicants, numMinterms, numVars) {
+        // simplify() returns no implicants for the constant functions
+        if (numMinterms === 0 || numMinterms === Math.pow(2, numVars)) {
+            return { terms: 0, literals: 0 };
+        }
+        return {
+            terms: implicants.length,
+            literals: implicants.reduce((sum, pi) => sum + pi.binary.replace(/-/g, '').length, 0)
+        };
+    }
+
+    /**
+     * Render the derivation as HTML
+     * @param {Object} result - Result from simplify()
+     * @returns {string} - HTML string
+     */
+    renderHTML(result) {
+        let html = '<ol class="algebra-steps">';
+        html += `<li class="algebra-step"><span class="algebra-expression">${result.original}</span>` +
+            '<span class="algebra-law">Given</span></li>';
+
+        result.steps.forEach(step => {
+            html += `<li class="algebra-step"><span class="algebra-expression">= ${step.expression}</span>` +
+                `<span class="algebra-law" title="${step.rule}">${step.law}</span></li>`;
+        });
+        html += '</ol>';
+
+        const { crossCheck } = result;
+        if (!crossCheck.equivalent) {
+            html += '<div class="algebra-check different">Result does not match the original function</div>';
+        } else if (crossCheck.minimal) {
+            html += `<div class="algebra-check equivalent">Matches the K-map minimum: ${crossCheck.kmapSop}</div>`;
+        } else {
+            html += '<div class="algebra-check partial">Equivalent, but the K-map finds a smaller form: ' +
+                `${crossCheck.kmapSop}</div>`;
+        }
+
+        return html;
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlgebraicSimplifier;
+}
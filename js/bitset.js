@@ -0,0 +1,155 @@
+/**
+ * Bit Set
+ * Fixed-size set of row indices packed 32 to a word, used for the on,
+ * off and don't-care sets of a truth table
+ */
+
+class BitSet {
+    /**
+     * @param {number} size - Number of indices (0 to size-1)
+     */
+    constructor(size) {
+        this.size = size;
+        this.words = new Uint32Array(Math.ceil(size / 32));
+    }
+
+    /**
+     * Create a set from a list of indices
+     * @param {number} size - Number of indices
+     * @param {Array} indices - Members
+     * @returns {BitSet}
+     */
+    static fromIndices(size, indices) {
+        const set = new BitSet(size);
+        indices.forEach(i => set.add(i));
+        return set;
+    }
+
+    /**
+     * Create the set of indices for which a predicate holds
+     * @param {number} size - Number of indices
+     * @param {Function} predicate - (index) => boolean
+     * @returns {BitSet}
+     */
+    static fromPredicate(size, predicate) {
+        const set = new BitSet(size);
+        for (let i = 0; i < size; i++) {
+            if (predicate(i)) set.add(i);
+        }
+        return set;
+    }
+
+    add(index) {
+        this.words[index >>> 5] |= 1 << (index & 31);
+    }
+
+    delete(index) {
+        this.words[index >>> 5] &= ~(1 << (index & 31));
+    }
+
+    has(index) {
+        return index >= 0 && index < this.size && (this.words[index >>> 5] & (1 << (index & 31))) !== 0;
+    }
+
+    /**
+     * Number of members
+     */
+    count() {
+        let total = 0;
+        this.words.forEach(word => {
+            // Population count of a 32-bit word
+            word = word - ((word >>> 1) & 0x55555555);
+            word = (word & 0x33333333) + ((word >>> 2) & 0x33333333);
+            total += (((word + (word >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+        });
+        return total;
+    }
+
+    /**
+     * Members in ascending order
+     * @returns {Array} - Indices
+     */
+    toArray() {
+        const indices = [];
+        this.words.forEach((word, w) => {
+            while (word !== 0) {
+                const bit = 31 - Math.clz32(word & -word);
+                indices.push(w * 32 + bit);
+                word &= word - 1;
+            }
+        });
+        return indices;
+    }
+
+    // Word-wise operations return new sets of the same size
+
+    and(other) {
+        return this.combine(other, (a, b) => a & b);
+    }
+
+    or(other) {
+        return this.combine(other, (a, b) => a | b);
+    }
+
+    xor(other) {
+        return this.combine(other, (a, b) => a ^ b);
+    }
+
+    /**
+     * Members of this set that are not in other
+     */
+    minus(other) {
+        return this.combine(other, (a, b) => a & ~b);
+    }
+
+    /**
+     * Complement within 0 to size-1
+     */
+    not() {
+        const result = new BitSet(this.size);
+        this.words.forEach((word, w) => {
+            result.words[w] = ~word;
+        });
+        result.trim();
+        return result;
+    }
+
+    combine(other, operation) {
+        const result = new BitSet(this.size);
+        this.words.forEach((word, w) => {
+            result.words[w] = operation(word, other.words[w]);
+        });
+        result.trim();
+        return result;
+    }
+
+    /**
+     * Clear the unused bits of the last word
+     */
+    trim() {
+        const extra = this.size & 31;
+        if (extra !== 0) {
+            this.words[this.words.length - 1] &= (1 << extra) - 1;
+        }
+    }
+
+    isEmpty() {
+        return this.words.every(word => word === 0);
+    }
+
+    /**
+     * Whether every member of this set is in other
+     */
+    isSubsetOf(other) {
+        return this.words.every((word, w) => (word & ~other.words[w]) === 0);
+    }
+
+    equals(other) {
+        return this.size === other.size && this.words.every((word, w) => word === other.words[w]);
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BitSet;
+}
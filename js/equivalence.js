@@ -0,0 +1,166 @@
+/**
+ * Expression Equivalence Checker
+ * Compares two Boolean functions over their combined variables
+ */
+
+// Under Node the sibling modules are loaded here; in the browser they are globals
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof BooleanParser === 'undefined') globalThis.BooleanParser = require('./parser.js');
+    if (typeof TruthTableGenerator === 'undefined') globalThis.TruthTableGenerator = require('./truthTable.js');
+    if (typeof BitSet === 'undefined') globalThis.BitSet = require('./bitset.js');
+}
+
+class EquivalenceChecker {
+    constructor() {
+        this.parser = new BooleanParser();
+        this.truthTableGen = new TruthTableGenerator();
+        this.maxCounterexamples = 8;
+    }
+
+    /**
+     * Check whether a candidate expression matches a reference function
+     *
+     * Rows where the reference is a don't care (d(...) in a minterm list, or
+     * options.dontCares) are skipped. Where the candidate itself has a don't
+     * care but the reference does not, the rows count as different.
+     *
+     * @param {string} reference - Reference expression or minterm list
+     * @param {string} candidate - Expression to check against the reference
+     * @param {Object} options - Parser options plus {dontCares: [...]} (row indices
+     *                           of the reference's own truth table) and
+     *                           {maxCounterexamples: n}
+     * @returns {Object} - {equivalent, variables, counterexamples, differenceCount}
+     */
+    check(reference, candidate, options = {}) {
+        const refParsed = this.parser.parse(reference, options);
+        if (!refParsed.valid) {
+            throw new Error(`Invalid reference expression: ${refParsed.error}`);
+        }
+
+        const candParsed = this.parser.parse(candidate, options);
+        if (!candParsed.valid) {
+            throw new Error(`Invalid candidate expression: ${candParsed.error}`);
+        }
+
+        const refTable = this.truthTableGen.generate(refParsed);
+        const candTable = this.truthTableGen.generate(candParsed);
+        const variables = this.unionVariables(refParsed, candParsed, options);
+
+        const { maxVariables } = this.truthTableGen;
+        if (variables.length > maxVariables) {
+            throw new Error(`The two expressions use ${variables.length} variables between them; ` +
+                `an equivalence check supports at most ${maxVariables}`);
+        }
+
+        // Both tables spread over the combined rows, so the rows that
+        // differ come out of word-wise set operations
+        const numRows = Math.pow(2, variables.length);
+        const spread = (table, set) => {
+            const bits = table.variables.map(v => variables.length - 1 - variables.indexOf(v));
+            return BitSet.fromPredicate(numRows, row =>
+                set.has(bits.reduce((index, bit) => index * 2 + ((row >> bit) & 1), 0)));
+        };
+        const refDC = spread(refTable, refTable.dcSet.or(
+            BitSet.fromIndices(refTable.dcSet.size, options.dontCares || [])));
+        const candDC = spread(candTable, candTable.dcSet);
+
+        // Rows where the outputs differ, a candidate don't care included,
+        // outside the reference's don't cares
+        const differences = spread(refTable, refTable.onSet).xor(spread(candTable, candTable.onSet))
+            .or(candDC).minus(refDC);
+        const differenceCount = differences.count();
+
+        const limit = options.maxCounterexamples || this.maxCounterexamples;
+        const counterexamples = differences.toArray().slice(0, limit).map(i => {
+            const inputs = {};
+            variables.forEach((variable, index) => {
+                inputs[variable] = (i >> (variables.length - 1 - index)) & 1;
+            });
+            return {
+                index: i,
+                inputs: inputs,
+                reference: this.truthTableGen.getOutput(refTable, this.rowIndex(refTable.variables, inputs)),
+                candidate: this.truthTableGen.getOutput(candTable, this.rowIndex(candTable.variables, inputs))
+            };
+        });
+
+        return {
+            equivalent: differenceCount === 0,
+            variables: variables,
+            counterexamples: counterexamples,
+            differenceCount: differenceCount,
+            reference: refParsed,
+            candidate: candParsed
+        };
+    }
+
+    /**
+     * Combine the variables of both functions. A declared reference order
+     * (header, minterm list or options.variables) is kept, with the
+     * candidate's extra variables appended; otherwise the union is sorted.
+     */
+    unionVariables(refParsed, candParsed, options) {
+        const extra = candParsed.variables.filter(v => !refParsed.variables.includes(v));
+        const declared = refParsed.name || refParsed.spec ||
+            (options.variables && options.variables.length > 0);
+
+        return declared
+            ? [...refParsed.variables, ...extra.sort()]
+            : [...refParsed.variables, ...extra].sort();
+    }
+
+    /**
+     * Row index of an assignment in a table over the given variables
+     * @param {Array} variables - Table variables, MSB first
+     * @param {Object} inputs - Variable values
+     * @returns {number} - Row index
+     */
+    rowIndex(variables, inputs) {
+        return variables.reduce((index, variable) => index * 2 + inputs[variable], 0);
+    }
+
+    /**
+     * Render a check result as HTML
+     * @param {Object} result - Result from check()
+     * @returns {string} - HTML string
+     */
+    renderHTML(result) {
+        const { equivalent, variables, counterexamples, differenceCount } = result;
+
+        if (equivalent) {
+            return `<div class="equivalence-verdict equivalent">Equivalent over ${variables.join(', ')}</div>`;
+        }
+
+        let html = `<div class="equivalence-verdict different">Not equivalent: ` +
+            `${differenceCount} differing input assignment${differenceCount === 1 ? '' : 's'}</div>`;
+
+        html += '<table><thead><tr>';
+        variables.forEach(variable => {
+            html += `<th>${variable}</th>`;
+        });
+        html += '<th>Reference</th><th>Candidate</th></tr></thead><tbody>';
+
+        counterexamples.forEach(example => {
+            html += '<tr>';
+            variables.forEach(variable => {
+                html += `<td>${example.inputs[variable]}</td>`;
+            });
+            html += `<td class="output-${example.reference}">${example.reference}</td>`;
+            html += `<td class="output-${example.candidate}">${example.candidate}</td>`;
+            html += '</tr>';
+        });
+
+        html += '</tbody></table>';
+
+        if (differenceCount > counterexamples.length) {
+            html += `<small>Showing the first ${counterexamples.length} of ${differenceCount}</small>`;
+        }
+
+        return html;
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EquivalenceChecker;
+}
@@ -1,8 +1,16 @@
 /**
  * Karnaugh Map Generator
- * Generates K-maps from truth table data (2-6 variables)
+ * Generates K-maps from truth table data (1-8 variables). Past 4 variables
+ * the map is an array of sub-maps, one per value of the leading variables;
+ * larger functions are shown as cofactor maps: 4-variable slices with the
+ * rest held fixed.
  */
 
+// Under Node the bit set is loaded here; in the browser it is a global
+if (typeof module !== 'undefined' && module.exports && typeof BitSet === 'undefined') {
+    globalThis.BitSet = require('./bitset.js');
+}
+
 class KarnaughMap {
     constructor() {
         // Gray code sequences for K-map ordering
@@ -13,310 +21,626 @@ class KarnaughMap {
             4: ['0000', '0001', '0011', '0010', '0110', '0111', '0101', '0100',
                 '1100', '1101', '1111', '1110', '1010', '1011', '1001', '1000']
         };
+
+        this.minVariables = 1;
+        this.maxVariables = 8;
+
+        // Outline colors for groups, reused in order past the eighth
+        this.groupColors = ['#ff922b', '#4dabf7', '#e599f7', '#69db7c',
+            '#ffd43b', '#ff8787', '#3bc9db', '#b197fc'];
+    }
+
+    /**
+     * Check whether a function of numVars variables fits on one K-map
+     * @param {number} numVars - Number of variables
+     * @returns {boolean} - True if generate() can draw it
+     */
+    supports(numVars) {
+        return numVars >= this.minVariables && numVars <= this.maxVariables;
     }
 
     /**
      * Generate K-map from truth table
+     *
+     * options choose where the variables go. rows and cols name the
+     * variables along each axis (0-3 rows, 1-3 columns, most significant
+     * first); the variables on neither pick the sub-map. Without them,
+     * style decides: 'adjacent' (the default) splits 5 to 8 variables
+     * into 4x4 sub-maps on the leading variables, 'mirror' puts up to 6 on
+     * one 4x8 or 8x8 map whose 3-variable axes are reflected Gray codes.
+     *
      * @param {Object} truthTable - Truth table data
+     * @param {Object} options - {rows, cols, style} (optional)
      * @returns {Object} - K-map data structure
      */
-    generate(truthTable) {
+    generate(truthTable, options = {}) {
         const { variables, minterms, numVars, dontCares = [] } = truthTable;
 
-        if (numVars < 2 || numVars > 6) {
-            throw new Error('K-map supports 2-6 variables only');
+        if (!this.supports(numVars)) {
+            throw new Error(`K-map supports ${this.minVariables}-${this.maxVariables} variables only`);
         }
 
-        // Create K-map based on number of variables
-        let kmap;
-        switch (numVars) {
-            case 2:
-                kmap = this.create2VarKMap(variables, minterms, dontCares);
-                break;
-            case 3:
-                kmap = this.create3VarKMap(variables, minterms, dontCares);
-                break;
-            case 4:
-                kmap = this.create4VarKMap(variables, minterms, dontCares);
-                break;
-            case 5:
-                kmap = this.create5VarKMap(variables, minterms, dontCares);
-                break;
-            case 6:
-                kmap = this.create6VarKMap(variables, minterms, dontCares);
-                break;
-        }
+        const layout = this.getLayout(numVars, this.axisPositions(variables, options));
+        const kmap = this.createKMap(variables, minterms, dontCares, layout);
 
+        // Bit sets are passed through so the simplifier can use them directly
         return {
             ...kmap,
+            layout: layout,
             variables: variables,
             minterms: minterms,
             dontCares: dontCares,
-            numVars: numVars
+            numVars: numVars,
+            onSet: truthTable.onSet,
+            dcSet: truthTable.dcSet
         };
     }
 
     /**
-     * Create 2-variable K-map (2x2)
+     * Generate a variable-entered map: the entered variables are folded
+     * into the cells of a map over the remaining variables, so each cell
+     * holds the function of the entered variables left at that point
+     * (0, 1, X, E, E', or for two entered variables forms like E+F).
+     *
+     * @param {Object} truthTable - Truth table data
+     * @param {Array} entered - Names of the entered variables (one or two)
+     * @param {Object} options - Layout of the map over the other variables, as for generate()
+     * @returns {Object} - K-map data over the map variables, with labels in
+     *                     the grid and entered {variables, cells} where
+     *                     cells[m] is {on, dc, label} for map minterm m
      */
-    create2VarKMap(variables, minterms, dontCares = []) {
-        const grid = [
-            [0, 0],
-            [0, 0]
-        ];
-
-        minterms.forEach(m => {
-            const row = Math.floor(m / 2);
-            const col = m % 2;
-            grid[row][col] = 1;
-        });
+    generateEntered(truthTable, entered, options = {}) {
+        const { variables, numVars, onSet, dcSet } = truthTable;
 
-        dontCares.forEach(m => {
-            const row = Math.floor(m / 2);
-            const col = m % 2;
-            grid[row][col] = 'X';
+        if (entered.length < 1 || entered.length > 2) {
+            throw new Error('Choose one or two entered variables');
+        }
+        entered.forEach((name, i) => {
+            if (!variables.includes(name)) {
+                throw new Error(`Entered variable ${name} is not an input`);
+            }
+            if (entered.indexOf(name) !== i) {
+                throw new Error(`Entered variable ${name} is listed twice`);
+            }
         });
 
-        return {
-            grid: grid,
-            rowLabels: ['0', '1'],
-            colLabels: ['0', '1'],
-            rowVars: [variables[0]],
-            colVars: [variables[1]],
-            dimensions: { rows: 2, cols: 2 }
-        };
-    }
-
-    /**
-     * Create 3-variable K-map (2x4)
-     */
-    create3VarKMap(variables, minterms, dontCares = []) {
-        const grid = [
-            [0, 0, 0, 0],
-            [0, 0, 0, 0]
-        ];
-
-        const grayCode = ['00', '01', '11', '10'];
-
-        minterms.forEach(m => {
-            const binary = m.toString(2).padStart(3, '0');
-            const rowBit = binary[0];
-            const colBits = binary.slice(1);
+        const enteredVars = variables.filter(v => entered.includes(v));
+        const mapVars = variables.filter(v => !entered.includes(v));
+        if (!this.supports(mapVars.length)) {
+            throw new Error(`A variable-entered map needs ${this.minVariables}-${this.maxVariables} ` +
+                `map variables (got ${mapVars.length})`);
+        }
 
-            const row = parseInt(rowBit);
-            const col = grayCode.indexOf(colBits);
+        // Truth table row of a map cell and an assignment of the entered variables
+        const rowOf = (cell, assignment) => {
+            let row = 0;
+            let mapBit = mapVars.length;
+            let enteredBit = enteredVars.length;
+            variables.forEach(v => {
+                const bit = entered.includes(v)
+                    ? (assignment >> --enteredBit) & 1
+                    : (cell >> --mapBit) & 1;
+                row = row * 2 + bit;
+            });
+            return row;
+        };
 
-            grid[row][col] = 1;
+        const points = Math.pow(2, enteredVars.length);
+        const cells = Array.from({ length: Math.pow(2, mapVars.length) }, (_, cell) => {
+            const on = [];
+            const dc = [];
+            for (let assignment = 0; assignment < points; assignment++) {
+                const row = rowOf(cell, assignment);
+                if (dcSet.has(row)) dc.push(assignment);
+                else if (onSet.has(row)) on.push(assignment);
+            }
+            return { on, dc, label: this.enteredLabel(on, dc, enteredVars) };
         });
 
-        dontCares.forEach(m => {
-            const binary = m.toString(2).padStart(3, '0');
-            const rowBit = binary[0];
-            const colBits = binary.slice(1);
-
-            const row = parseInt(rowBit);
-            const col = grayCode.indexOf(colBits);
-
-            grid[row][col] = 'X';
-        });
+        // Lay out the map as usual, then write the labels into its cells
+        const kmap = this.generate({
+            variables: mapVars,
+            numVars: mapVars.length,
+            minterms: cells.flatMap((cell, m) => cell.label === 1 ? [m] : []),
+            dontCares: cells.flatMap((cell, m) => cell.label === 'X' ? [m] : [])
+        }, options);
+        const grids = kmap.index.minterms.map(grid => grid.map(row => row.map(m => cells[m].label)));
+        const grid = Array.isArray(kmap.grid[0][0]) ? grids : grids[0];
 
         return {
+            ...kmap,
             grid: grid,
-            rowLabels: ['0', '1'],
-            colLabels: ['00', '01', '11', '10'],
-            rowVars: [variables[0]],
-            colVars: [variables[1], variables[2]],
-            dimensions: { rows: 2, cols: 4 }
+            entered: { variables: enteredVars, cells: cells },
+            original: truthTable
         };
     }
 
     /**
-     * Create 4-variable K-map (4x4)
+     * Cell label for a function of the entered variables: 0, 1 or X when
+     * it is constant, otherwise its shortest sum of products, with don't
+     * cares used where they help
+     * @param {Array} on - Assignments where the function is 1
+     * @param {Array} dc - Assignments where it is a don't care
+     * @param {Array} vars - Entered variable names
+     * @returns {number|string}
      */
-    create4VarKMap(variables, minterms, dontCares = []) {
-        const grid = [
-            [0, 0, 0, 0],
-            [0, 0, 0, 0],
-            [0, 0, 0, 0],
-            [0, 0, 0, 0]
-        ];
-
-        const grayCode = ['00', '01', '11', '10'];
-
-        minterms.forEach(m => {
-            const binary = m.toString(2).padStart(4, '0');
-            const rowBits = binary.slice(0, 2);
-            const colBits = binary.slice(2);
-
-            const row = grayCode.indexOf(rowBits);
-            const col = grayCode.indexOf(colBits);
-
-            grid[row][col] = 1;
-        });
+    enteredLabel(on, dc, vars) {
+        const points = Math.pow(2, vars.length);
+        if (on.length === 0) return dc.length === points ? 'X' : 0;
+        if (on.length + dc.length === points) return 1;
+
+        // Cubes over the entered variables that stay inside on + dc
+        const allowed = [...on, ...dc];
+        const cubes = [];
+        for (let c = 0; c < Math.pow(3, vars.length); c++) {
+            const cube = c.toString(3).padStart(vars.length, '0')
+                .replace(/2/g, '-');
+            const covers = Array.from({ length: points }, (_, p) => p).filter(p =>
+                cube.split('').every((char, i) =>
+                    char === '-' || Number(char) === ((p >> (vars.length - 1 - i)) & 1)));
+            if (covers.every(p => allowed.includes(p))) cubes.push({ cube, covers });
+        }
 
-        dontCares.forEach(m => {
-            const binary = m.toString(2).padStart(4, '0');
-            const rowBits = binary.slice(0, 2);
-            const colBits = binary.slice(2);
+        // Smallest set of cubes covering the on points, fewest literals on ties
+        const literals = set => set.reduce((sum, { cube }) => sum + cube.replace(/-/g, '').length, 0);
+        let best = null;
+        for (let subset = 1; subset < Math.pow(2, cubes.length); subset++) {
+            const chosen = cubes.filter((_, i) => (subset >> i) & 1);
+            if (!on.every(p => chosen.some(({ covers }) => covers.includes(p)))) continue;
+            if (!best || chosen.length < best.length ||
+                (chosen.length === best.length && literals(chosen) < literals(best))) {
+                best = chosen;
+            }
+        }
 
-            const row = grayCode.indexOf(rowBits);
-            const col = grayCode.indexOf(colBits);
+        const separator = vars.every(v => v.length === 1) ? '' : '·';
+        return best.map(({ cube }) => cube.split('')
+            .map((char, i) => char === '-' ? '' : vars[i] + (char === '0' ? "'" : ''))
+            .filter(Boolean).join(separator)).join('+');
+    }
 
-            grid[row][col] = 'X';
+    /**
+     * Describe which variables run along each axis of the map
+     *
+     * Variables are given by their position in the variable list. By
+     * default the first ones pick the sub-map (5-8 variables), then the
+     * rows, then the columns; the mirror style has sub-maps only past 6
+     * variables. A 1-variable map has no row variables. codes
+     * lists the Gray-coded values along the axis, so codes[i] is the bits
+     * of those variables at grid index i (rows, columns and, in grid, the
+     * sub-maps).
+     *
+     * @param {number} numVars - Number of variables (1-8)
+     * @param {Object} assignment - {rows, cols} positions, or {style} (optional)
+     * @returns {Object} - {maps, rows, cols, style}, each axis {variables, codes}
+     */
+    getLayout(numVars, assignment = {}) {
+        const axis = variables => ({
+            variables: variables,
+            codes: variables.length === 0 ? [''] : this.grayCode[variables.length]
         });
+        const positions = (start, count) => Array.from({ length: count }, (_, i) => start + i);
+
+        let { rows, cols } = assignment;
+        if (!rows) {
+            const mirror = assignment.style === 'mirror' && numVars > 4;
+            const mapBits = Math.max(0, numVars - (mirror ? 6 : 4));
+            const onMap = numVars - mapBits;
+            const rowBits = mirror ? Math.floor(onMap / 2) : Math.min(2, Math.floor(onMap / 2));
+            rows = positions(mapBits, rowBits);
+            cols = positions(mapBits + rowBits, onMap - rowBits);
+        }
+        const maps = positions(0, numVars).filter(i => !rows.includes(i) && !cols.includes(i));
 
         return {
-            grid: grid,
-            rowLabels: ['00', '01', '11', '10'],
-            colLabels: ['00', '01', '11', '10'],
-            rowVars: [variables[0], variables[1]],
-            colVars: [variables[2], variables[3]],
-            dimensions: { rows: 4, cols: 4 }
+            maps: axis(maps),
+            rows: axis(rows),
+            cols: axis(cols),
+            style: rows.length === 3 || cols.length === 3 ? 'mirror' : 'adjacent'
         };
     }
 
     /**
-     * Create 5-variable K-map (4x8 or 2 4x4 maps)
+     * Turn the rows and cols options into variable positions, checking
+     * them; with neither given the style is passed on to getLayout()
+     * @param {Array} variables - Variable names
+     * @param {Object} options - {rows, cols, style}
+     * @returns {Object} - {rows, cols} positions, or {style}
      */
-    create5VarKMap(variables, minterms, dontCares = []) {
-        const grid1 = Array(4).fill(0).map(() => Array(4).fill(0));
-        const grid2 = Array(4).fill(0).map(() => Array(4).fill(0));
+    axisPositions(variables, options) {
+        const { rows, cols, style = 'adjacent' } = options;
+        if (!['adjacent', 'mirror'].includes(style)) {
+            throw new Error(`Unknown K-map style '${style}'`);
+        }
+        if (!rows && !cols) return { style: style };
+        if (!rows || !cols) {
+            throw new Error('Give both the row and the column variables');
+        }
 
-        const grayCode = ['00', '01', '11', '10'];
+        const positionsOf = (names, axis, least) => {
+            if (names.length < least || names.length > 3) {
+                throw new Error(`K-map ${axis} take ${least}-3 variables (got ${names.length})`);
+            }
+            return names.map(name => {
+                const position = variables.indexOf(name);
+                if (position < 0) throw new Error(`${name} is not a variable of this function`);
+                return position;
+            });
+        };
+        const rowPositions = positionsOf(rows, 'rows', 0);
+        const colPositions = positionsOf(cols, 'columns', 1);
 
-        minterms.forEach(m => {
-            const binary = m.toString(2).padStart(5, '0');
-            const firstBit = binary[0];
-            const rowBits = binary.slice(1, 3);
-            const colBits = binary.slice(3);
+        const used = [...rowPositions, ...colPositions];
+        const repeated = used.find((position, i) => used.indexOf(position) !== i);
+        if (repeated !== undefined) {
+            throw new Error(`${variables[repeated]} is placed twice`);
+        }
+        const rest = variables.length - used.length;
+        if (rest > 4) {
+            throw new Error(`${rest} variables are left for the sub-maps; at most 4 can be`);
+        }
+        if (style === 'mirror' && rows.length < 3 && cols.length < 3) {
+            throw new Error('The mirror layout needs 3 variables on the rows or the columns');
+        }
 
-            const row = grayCode.indexOf(rowBits);
-            const col = grayCode.indexOf(colBits);
+        return { rows: rowPositions, cols: colPositions };
+    }
 
-            if (firstBit === '0') {
-                grid1[row][col] = 1;
-            } else {
-                grid2[row][col] = 1;
-            }
+    /**
+     * Fill the grid of a map laid out by getLayout()
+     * @param {Array} variables - Variable names
+     * @param {Array} minterms - On rows
+     * @param {Array} dontCares - Don't-care rows
+     * index links cells and minterms both ways: index.minterms[map][row][col]
+     * is the minterm of a cell (map 0 when there are no sub-maps) and
+     * index.cells[minterm] is its {map, row, col}.
+     *
+     * @param {Object} layout - From getLayout()
+     * @returns {Object} - {grid, index, rowLabels, colLabels, rowVars, colVars, mapLabels, dimensions}
+     */
+    createKMap(variables, minterms, dontCares, layout) {
+        const { maps, rows, cols } = layout;
+        const numVars = variables.length;
+        const minterm = new Set(minterms);
+        const dontCare = new Set(dontCares);
+
+        const index = { minterms: [], cells: new Array(Math.pow(2, numVars)) };
+        maps.codes.forEach((_, map) => {
+            index.minterms.push(rows.codes.map((_, row) => cols.codes.map((_, col) => {
+                const m = this.getMintermFromPosition(row, col, numVars, map, layout);
+                index.cells[m] = { map, row, col };
+                return m;
+            })));
         });
 
-        dontCares.forEach(m => {
-            const binary = m.toString(2).padStart(5, '0');
-            const firstBit = binary[0];
-            const rowBits = binary.slice(1, 3);
-            const colBits = binary.slice(3);
+        const grids = index.minterms.map(grid => grid.map(row => row.map(m => {
+            if (dontCare.has(m)) return 'X';
+            return minterm.has(m) ? 1 : 0;
+        })));
+        const names = axis => axis.variables.map(i => variables[i]);
+
+        const kmap = {
+            grid: maps.variables.length === 0 ? grids[0] : grids,
+            index: index,
+            rowLabels: rows.codes,
+            colLabels: cols.codes,
+            rowVars: names(rows),
+            colVars: names(cols),
+            dimensions: { rows: rows.codes.length, cols: cols.codes.length }
+        };
 
-            const row = grayCode.indexOf(rowBits);
-            const col = grayCode.indexOf(colBits);
+        if (maps.variables.length > 0) {
+            kmap.mapLabels = maps.codes.map(code => this.joinVariables(names(maps)) + '=' + code);
+            kmap.dimensions.maps = maps.codes.length;
+        }
 
-            if (firstBit === '0') {
-                grid1[row][col] = 'X';
-            } else {
-                grid2[row][col] = 'X';
-            }
-        });
+        return kmap;
+    }
 
-        return {
-            grid: [grid1, grid2],
-            rowLabels: ['00', '01', '11', '10'],
-            colLabels: ['00', '01', '11', '10'],
-            rowVars: [variables[1], variables[2]],
-            colVars: [variables[3], variables[4]],
-            mapLabels: [variables[0] + "=0", variables[0] + "=1"],
-            dimensions: { rows: 4, cols: 4, maps: 2 }
-        };
+    /**
+     * Where a sub-map sits among the others: the trailing half of the
+     * sub-map variables picks its column and the leading half its row,
+     * each in Gray-code order, so maps that differ in one variable are
+     * neighbours
+     * @param {Object} layout - From getLayout()
+     * @param {number} mapIndex - Sub-map index
+     * @returns {Object} - {across, down}
+     */
+    mapPlacement(layout, mapIndex) {
+        const code = layout.maps.codes[mapIndex] || '';
+        const downBits = Math.floor(code.length / 2);
+        const position = bits => bits.length === 0 ? 0 : this.grayCode[bits.length].indexOf(bits);
+        return { across: position(code.slice(downBits)), down: position(code.slice(0, downBits)) };
     }
 
     /**
-     * Create 6-variable K-map (4 4x4 maps)
+     * Cells adjacent to a cell: those whose minterm differs in one
+     * variable. On the grid they are its neighbours along each axis
+     * (wrapping at the edges, and across the middle of a reflected axis)
+     * or the same cell of a neighbouring sub-map.
+     * @param {Object} kmap - K-map data
+     * @param {number} minterm - Minterm of the cell
+     * @returns {Array} - [{variable, minterm, map, row, col}], one per variable
      */
-    create6VarKMap(variables, minterms, dontCares = []) {
-        const grids = [
-            Array(4).fill(0).map(() => Array(4).fill(0)),
-            Array(4).fill(0).map(() => Array(4).fill(0)),
-            Array(4).fill(0).map(() => Array(4).fill(0)),
-            Array(4).fill(0).map(() => Array(4).fill(0))
-        ];
-
-        const grayCode = ['00', '01', '11', '10'];
-
-        minterms.forEach(m => {
-            const binary = m.toString(2).padStart(6, '0');
-            const firstTwoBits = binary.slice(0, 2);
-            const rowBits = binary.slice(2, 4);
-            const colBits = binary.slice(4);
-
-            const mapIndex = grayCode.indexOf(firstTwoBits);
-            const row = grayCode.indexOf(rowBits);
-            const col = grayCode.indexOf(colBits);
-
-            grids[mapIndex][row][col] = 1;
+    adjacentCells(kmap, minterm) {
+        return kmap.variables.map((variable, i) => {
+            const neighbour = minterm ^ (1 << (kmap.numVars - 1 - i));
+            return { variable: variable, minterm: neighbour, ...kmap.index.cells[neighbour] };
         });
+    }
 
-        dontCares.forEach(m => {
-            const binary = m.toString(2).padStart(6, '0');
-            const firstTwoBits = binary.slice(0, 2);
-            const rowBits = binary.slice(2, 4);
-            const colBits = binary.slice(4);
+    /**
+     * Number of cofactor maps for a function of numVars variables
+     * @param {number} numVars - Number of variables (more than 4)
+     * @returns {number} - 2^(numVars - 4)
+     */
+    cofactorCount(numVars) {
+        return Math.pow(2, numVars - 4);
+    }
 
-            const mapIndex = grayCode.indexOf(firstTwoBits);
-            const row = grayCode.indexOf(rowBits);
-            const col = grayCode.indexOf(colBits);
+    /**
+     * Generate one cofactor map: the first numVars-4 variables are held at
+     * the bits of index (MSB first) and the map covers the last four.
+     * Minterm numbers in the result are local to the 4-variable map.
+     * @param {Object} truthTable - Truth table data (more than 4 variables)
+     * @param {number} index - Which assignment of the fixed variables
+     * @returns {Object} - K-map data plus cofactor {index, variables, values}
+     */
+    generateCofactor(truthTable, index) {
+        const { variables, numVars, onSet, dcSet } = truthTable;
+        const fixedVars = variables.slice(0, numVars - 4);
+        const offset = index * 16;
+
+        // The cofactor is rows offset to offset+15 of the table
+        const slice = set => BitSet.fromPredicate(16, m => set.has(offset + m));
+        const localOn = slice(onSet);
+        const localDC = slice(dcSet);
+
+        const values = {};
+        index.toString(2).padStart(fixedVars.length, '0').split('').forEach((bit, i) => {
+            values[fixedVars[i]] = parseInt(bit);
+        });
 
-            grids[mapIndex][row][col] = 'X';
+        const kmap = this.generate({
+            variables: variables.slice(numVars - 4),
+            minterms: localOn.toArray(),
+            dontCares: localDC.toArray(),
+            numVars: 4,
+            onSet: localOn,
+            dcSet: localDC
         });
 
         return {
-            grid: grids,
-            rowLabels: ['00', '01', '11', '10'],
-            colLabels: ['00', '01', '11', '10'],
-            rowVars: [variables[2], variables[3]],
-            colVars: [variables[4], variables[5]],
-            mapLabels: [
-                variables[0] + variables[1] + "=00",
-                variables[0] + variables[1] + "=01",
-                variables[0] + variables[1] + "=11",
-                variables[0] + variables[1] + "=10"
-            ],
-            dimensions: { rows: 4, cols: 4, maps: 4 }
+            ...kmap,
+            cofactor: { index: index, variables: fixedVars, values: values }
         };
     }
 
+    /**
+     * Color of the index-th group
+     * @param {number} index - Group index
+     * @returns {string} - CSS color
+     */
+    groupColor(index) {
+        return this.groupColors[index % this.groupColors.length];
+    }
+
     /**
      * Render K-map as HTML
+     *
+     * Each data cell carries its minterm number in data-minterm (the row
+     * of the full truth table, for a cofactor map). Groups are drawn as
+     * colored outlines, followed by a legend of their terms. Outline pieces and legend entries carry data-kmap-group
+     * (groupKey followed by the group index) so a page can link them to
+     * the terms of the SOP result.
+     *
      * @param {Object} kmap - K-map data
+     * @param {Array} groups - Groups from KMapSimplifier.findGroups() (optional)
+     * @param {string} groupKey - Prefix for data-kmap-group, to tell several maps apart
      * @returns {string} - HTML string
      */
-    renderHTML(kmap) {
+    renderHTML(kmap, groups = [], groupKey = '') {
         const { grid, rowLabels, colLabels, rowVars, colVars, dimensions, mapLabels } = kmap;
+        const loops = this.groupLoops(groups, dimensions, groupKey);
+        const offset = kmap.cofactor ? kmap.cofactor.index * 16 : 0;
+        const mintermsOf = mapIndex => (row, col) => offset + kmap.index.minterms[mapIndex][row][col];
 
         let html = '';
 
-        // Handle multiple maps (5-6 variables)
+        // Handle sub-maps (past 4 variables, or as the layout chooses)
         if (Array.isArray(grid[0][0]) === false) {
-            // Single map (2-4 variables)
-            html += this.renderSingleMap(grid, rowLabels, colLabels, rowVars, colVars);
+            // Single map (up to 4 variables, or a mirror layout)
+            html += this.renderSingleMap(grid, rowLabels, colLabels, rowVars, colVars,
+                loops.filter(loop => loop.map === 0), mintermsOf(0));
         } else {
-            // Multiple maps (5-6 variables)
+            // Multiple maps (5-8 variables), placed so neighbouring maps are adjacent
+            html += '<div class="kmap-maps">';
             grid.forEach((singleGrid, index) => {
+                const { across, down } = this.mapPlacement(kmap.layout, index);
+                html += `<div class="kmap-submap" style="grid-row: ${down + 1}; grid-column: ${across + 1}">`;
                 html += `<div class="kmap-label">${mapLabels[index]}</div>`;
-                html += this.renderSingleMap(singleGrid, rowLabels, colLabels, rowVars, colVars);
-                html += '<br>';
+                html += this.renderSingleMap(singleGrid, rowLabels, colLabels, rowVars, colVars,
+                    loops.filter(loop => loop.map === index), mintermsOf(index));
+                html += '</div>';
+            });
+            html += '</div>';
+        }
+
+        if (groups.length > 0) {
+            html += '<div class="kmap-legend">';
+            groups.forEach((group, index) => {
+                html += `<span class="kmap-legend-item" data-kmap-group="${groupKey}${index}">` +
+                    `<span class="kmap-swatch" style="background: ${this.groupColor(index)}"></span>` +
+                    `${group.term}</span>`;
             });
+            html += '</div>';
         }
 
         return html;
     }
 
+    /**
+     * Render K-map as a standalone SVG image for slides and documents
+     *
+     * Each map gets its Gray-code headers and a corner cell naming the row
+     * and column variables; 5- and 6-variable maps are laid out side by
+     * side or 2x2 by the values of their map variables, so neighbouring
+     * maps are adjacent. Groups are drawn as rounded outlines clipped to
+     * the grid, so a wrapping group reads as open at the edge, and listed
+     * in a legend underneath.
+     *
+     * @param {Object} kmap - K-map data
+     * @param {Array} groups - Groups from KMapSimplifier.findGroups() (optional)
+     * @param {Object} options - {showIndices: true} to print minterm numbers in the cells
+     * @returns {string} - SVG markup
+     */
+    renderSVG(kmap, groups = [], options = {}) {
+        const { grid, rowLabels, colLabels, rowVars, colVars, dimensions, mapLabels } = kmap;
+        const cell = 44;
+        const padding = 20;
+        const gap = 32;
+        const font = 'font-family="Arial, sans-serif"';
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        const rowText = this.joinVariables(rowVars);
+        const colText = this.joinVariables(colVars);
+        const header = Math.max(cell, 8 * Math.max(rowText.length, colText.length) + 16);
+        const titleHeight = mapLabels ? 24 : 0;
+        const mapWidth = header + dimensions.cols * cell;
+        const mapHeight = titleHeight + header + dimensions.rows * cell;
+
+        const grids = Array.isArray(grid[0][0]) ? grid : [grid];
+        const place = index => this.mapPlacement(kmap.layout, index);
+        const across = Math.max(...grids.map((_, i) => place(i).across)) + 1;
+        const down = Math.max(...grids.map((_, i) => place(i).down)) + 1;
+
+        const loops = this.groupLoops(groups, dimensions, '');
+        const offset = kmap.cofactor ? kmap.cofactor.index * 16 : 0;
+        const legendHeight = groups.length > 0 ? 12 + groups.length * 22 : 0;
+        const width = padding * 2 + across * mapWidth + (across - 1) * gap;
+        const height = padding * 2 + down * mapHeight + (down - 1) * gap + legendHeight;
+        const fills = { 1: '#e6f4ea', 0: '#ffffff', X: '#fff8e1' };
+        const fill = value => fills[value] || '#e7f5ff'; // Entered-variable labels
+
+        let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`;
+        svg += `<title>K-map of ${escape(kmap.variables.join(', '))}</title>`;
+        svg += `<rect width="${width}" height="${height}" fill="#ffffff"/>`;
+
+        grids.forEach((singleGrid, mapIndex) => {
+            const { across: a, down: d } = place(mapIndex);
+            const x0 = padding + a * (mapWidth + gap);
+            const y0 = padding + d * (mapHeight + gap);
+            const left = x0 + header;
+            const top = y0 + titleHeight + header;
+
+            if (mapLabels) {
+                svg += `<text x="${x0 + mapWidth / 2}" y="${y0 + 15}" text-anchor="middle" ${font} font-size="14" font-weight="bold" fill="#333">${escape(mapLabels[mapIndex])}</text>`;
+            }
+
+            // Corner cell: row variables bottom left, column variables top right
+            svg += `<line x1="${x0}" y1="${top - header}" x2="${left}" y2="${top}" stroke="#333" stroke-width="1"/>`;
+            svg += `<text x="${x0 + 4}" y="${top - 6}" ${font} font-size="13" font-style="italic" fill="#333">${escape(rowText)}</text>`;
+            svg += `<text x="${left - 4}" y="${top - header + 15}" text-anchor="end" ${font} font-size="13" font-style="italic" fill="#333">${escape(colText)}</text>`;
+
+            colLabels.forEach((label, col) => {
+                svg += `<text x="${left + col * cell + cell / 2}" y="${top - 8}" text-anchor="middle" ${font} font-size="13" fill="#333">${label}</text>`;
+            });
+            rowLabels.forEach((label, row) => {
+                svg += `<text x="${left - 8}" y="${top + row * cell + cell / 2 + 5}" text-anchor="end" ${font} font-size="13" fill="#333">${label}</text>`;
+            });
+
+            singleGrid.forEach((values, row) => {
+                values.forEach((value, col) => {
+                    const x = left + col * cell;
+                    const y = top + row * cell;
+                    svg += `<rect x="${x}" y="${y}" width="${cell}" height="${cell}" fill="${fill(value)}" stroke="#999" stroke-width="1"/>`;
+                    svg += `<text x="${x + cell / 2}" y="${y + cell / 2 + 6}" text-anchor="middle" ${font} font-size="17" fill="#222">${value}</text>`;
+                    if (options.showIndices) {
+                        const minterm = offset + kmap.index.minterms[mapIndex][row][col];
+                        svg += `<text x="${x + 4}" y="${y + 12}" ${font} font-size="9" fill="#888">${minterm}</text>`;
+                    }
+                });
+            });
+            svg += `<rect x="${left}" y="${top}" width="${dimensions.cols * cell}" height="${dimensions.rows * cell}" fill="none" stroke="#333" stroke-width="2"/>`;
+            if (dimensions.cols === 8) {
+                svg += `<line x1="${left + 4 * cell}" y1="${top}" x2="${left + 4 * cell}" y2="${top + dimensions.rows * cell}" stroke="#333" stroke-width="2" stroke-dasharray="6 4"/>`;
+            }
+            if (dimensions.rows === 8) {
+                svg += `<line x1="${left}" y1="${top + 4 * cell}" x2="${left + dimensions.cols * cell}" y2="${top + 4 * cell}" stroke="#333" stroke-width="2" stroke-dasharray="6 4"/>`;
+            }
+
+            // Outlines past an open edge are cut off by the clip path
+            const clip = `kmap-clip-${mapIndex}`;
+            svg += `<clipPath id="${clip}"><rect x="${left}" y="${top}" width="${dimensions.cols * cell}" height="${dimensions.rows * cell}"/></clipPath>`;
+            svg += `<g clip-path="url(#${clip})" fill="none" stroke-width="3">`;
+            loops.filter(loop => loop.map === mapIndex).forEach(loop => {
+                const inset = loop.inset;
+                const x1 = loop.open.left ? left - cell / 2 : left + loop.col * cell + inset;
+                const y1 = loop.open.top ? top - cell / 2 : top + loop.row * cell + inset;
+                const x2 = loop.open.right ? left + (dimensions.cols + 0.5) * cell : left + (loop.col + loop.width) * cell - inset;
+                const y2 = loop.open.bottom ? top + (dimensions.rows + 0.5) * cell : top + (loop.row + loop.height) * cell - inset;
+                svg += `<rect x="${x1}" y="${y1}" width="${x2 - x1}" height="${y2 - y1}" rx="12" stroke="${loop.color}"/>`;
+            });
+            svg += '</g>';
+        });
+
+        // Legend
+        const legendTop = height - padding - legendHeight + 12;
+        groups.forEach((group, index) => {
+            const y = legendTop + index * 22;
+            svg += `<rect x="${padding}" y="${y}" width="26" height="14" rx="5" fill="none" stroke="${this.groupColor(index)}" stroke-width="3"/>`;
+            svg += `<text x="${padding + 36}" y="${y + 12}" ${font} font-size="14" fill="#222">${escape(group.term)}</text>`;
+        });
+
+        svg += '</svg>';
+        return svg;
+    }
+
+    /**
+     * Turn group rectangles into outline pieces. A rectangle that is one
+     * part of a group wrapping around the map is left open on the edge it
+     * continues past, so the two parts read as one loop.
+     * @param {Array} groups - Groups from KMapSimplifier.findGroups()
+     * @param {Object} dimensions - {rows, cols}
+     * @param {string} groupKey - Prefix for data-kmap-group
+     * @returns {Array} - [{map, row, col, height, width, open, key, color, inset}]
+     */
+    groupLoops(groups, dimensions, groupKey) {
+        const wrapping = (runs, length) => runs.filter(run => run.start + run.length > length);
+
+        return groups.flatMap((group, index) => {
+            const wrappingRows = wrapping(group.rows, dimensions.rows);
+            const wrappingCols = wrapping(group.cols, dimensions.cols);
+
+            return group.rectangles.map(rect => ({
+                ...rect,
+                open: {
+                    top: rect.row === 0 && wrappingRows.length > 0,
+                    bottom: rect.row + rect.height === dimensions.rows &&
+                        wrappingRows.some(run => run.start === rect.row),
+                    left: rect.col === 0 && wrappingCols.length > 0,
+                    right: rect.col + rect.width === dimensions.cols &&
+                        wrappingCols.some(run => run.start === rect.col)
+                },
+                key: groupKey + index,
+                color: this.groupColor(index),
+                // Nested and overlapping loops are drawn at different insets
+                inset: 3 + (index % 4) * 4
+            }));
+        });
+    }
+
     /**
      * Render a single K-map grid
+     * @param {Array} loops - Outline pieces on this map, from groupLoops()
+     * @param {Function} mintermAt - (row, col) => minterm number, for data-minterm (optional)
      */
-    renderSingleMap(grid, rowLabels, colLabels, rowVars, colVars) {
+    renderSingleMap(grid, rowLabels, colLabels, rowVars, colVars, loops = [], mintermAt = null) {
         let html = '<div class="kmap-grid">';
 
         // Column headers
         html += '<div class="kmap-row">';
-        html += `<div class="kmap-cell header">${rowVars.join('')}\\${colVars.join('')}</div>`;
+        html += `<div class="kmap-cell header">${this.joinVariables(rowVars)}\\${this.joinVariables(colVars)}</div>`;
         colLabels.forEach(label => {
             html += `<div class="kmap-cell header">${label}</div>`;
         });
@@ -326,16 +650,27 @@ class KarnaughMap {
         grid.forEach((row, rowIndex) => {
             html += '<div class="kmap-row">';
             html += `<div class="kmap-cell header">${rowLabels[rowIndex]}</div>`;
-            row.forEach(value => {
+            row.forEach((value, colIndex) => {
                 let className;
                 if (value === 'X') {
                     className = 'dontcare';
                 } else if (value === 1) {
                     className = 'one';
+                } else if (typeof value === 'string') {
+                    className = 'entered';
                 } else {
                     className = 'zero';
                 }
-                html += `<div class="kmap-cell ${className}">${value}</div>`;
+                // An 8-cell axis is a reflected Gray code, mirrored about its middle
+                if (row.length === 8 && colIndex === 3) className += ' mirror-col';
+                if (grid.length === 8 && rowIndex === 3) className += ' mirror-row';
+                const outlines = loops
+                    .filter(loop => rowIndex >= loop.row && rowIndex < loop.row + loop.height &&
+                        colIndex >= loop.col && colIndex < loop.col + loop.width)
+                    .map(loop => this.renderLoopPiece(loop, rowIndex, colIndex))
+                    .join('');
+                const minterm = mintermAt ? ` data-minterm="${mintermAt(rowIndex, colIndex)}"` : '';
+                html += `<div class="kmap-cell ${className}"${minterm}>${value}${outlines}</div>`;
             });
             html += '</div>';
         });
@@ -344,31 +679,57 @@ class KarnaughMap {
         return html;
     }
 
+    /**
+     * The part of a loop's outline inside one cell: the sides of the cell
+     * that lie on the loop's edge, rounded where two of them meet
+     * @param {Object} loop - Outline piece from groupLoops()
+     * @param {number} row - Cell row
+     * @param {number} col - Cell column
+     * @returns {string} - HTML string
+     */
+    renderLoopPiece(loop, row, col) {
+        const sides = [];
+        if (row === loop.row && !loop.open.top) sides.push('top');
+        if (row === loop.row + loop.height - 1 && !loop.open.bottom) sides.push('bottom');
+        if (col === loop.col && !loop.open.left) sides.push('left');
+        if (col === loop.col + loop.width - 1 && !loop.open.right) sides.push('right');
+
+        // Inner sides reach over the cell border so neighbouring pieces join up
+        const inset = ['top', 'right', 'bottom', 'left']
+            .map(side => sides.includes(side) ? `${loop.inset}px` : '-1px').join(' ');
+        const classes = sides.map(side => `loop-${side}`).join(' ');
+
+        return `<span class="kmap-loop ${classes}" data-kmap-group="${loop.key}" ` +
+            `style="--group-color: ${loop.color}; inset: ${inset}"></span>`;
+    }
+
+    /**
+     * Join axis variable names for a label: single letters are run
+     * together (AB), longer names are comma-separated (sel,en)
+     * @param {Array} vars - Variable names
+     * @returns {string} - Label text
+     */
+    joinVariables(vars) {
+        return vars.every(v => v.length === 1) ? vars.join('') : vars.join(',');
+    }
+
     /**
      * Get minterm index from K-map position
      * @param {number} row - Row index
      * @param {number} col - Column index
      * @param {number} numVars - Number of variables
-     * @param {number} mapIndex - Map index (for 5-6 var K-maps)
+     * @param {number} mapIndex - Map index (for maps with sub-maps)
+     * @param {Object} layout - From getLayout() (default: the default layout)
      * @returns {number} - Minterm index
      */
-    getMintermFromPosition(row, col, numVars, mapIndex = 0) {
-        const grayCode = ['00', '01', '11', '10'];
-
-        switch (numVars) {
-            case 2:
-                return row * 2 + col;
-            case 3:
-                return parseInt(row + grayCode[col], 2);
-            case 4:
-                return parseInt(grayCode[row] + grayCode[col], 2);
-            case 5:
-                return parseInt(mapIndex + grayCode[row] + grayCode[col], 2);
-            case 6:
-                return parseInt(grayCode[mapIndex] + grayCode[row] + grayCode[col], 2);
-            default:
-                return 0;
-        }
+    getMintermFromPosition(row, col, numVars, mapIndex = 0, layout = this.getLayout(numVars)) {
+        const bits = new Array(numVars).fill('0');
+        [[layout.maps, mapIndex], [layout.rows, row], [layout.cols, col]].forEach(([axis, index]) => {
+            axis.variables.forEach((position, i) => {
+                bits[position] = axis.codes[index][i];
+            });
+        });
+        return parseInt(bits.join(''), 2);
     }
 }
 
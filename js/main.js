@@ -10,6 +10,9 @@ class BooleanLogicApp {
         this.kmapGen = new KarnaughMap();
         this.simplifier = new KMapSimplifier();
         this.schematicGen = new SchematicGenerator();
+        this.equivalenceChecker = new EquivalenceChecker();
+        this.algebraicSimplifier = new AlgebraicSimplifier();
+        this.plaFormat = new PLAFormat();
 
         this.currentData = {
             parsed: null,
@@ -19,9 +22,13 @@ class BooleanLogicApp {
             schematic: null
         };
 
-        this.currentMode = 'expression'; // 'expression' or 'truthtable'
+        this.currentMode = 'expression'; // 'expression', 'truthtable', 'kmap' or 'equivalence'
         this.truthTableInputData = null;
         this.multiOutputData = []; // For multiple outputs
+        this.truthTablePage = 0;
+        this.cofactorIndex = 0; // Cofactor map shown for functions past 8 variables
+        this.kmapEditable = false; // Set when the results come from the truth-table input grid
+        this.collapsedGroups = []; // Subexpression column groups folded into their head column
 
         this.initializeEventListeners();
     }
@@ -36,6 +43,7 @@ class BooleanLogicApp {
         const modeExpressionBtn = document.getElementById('mode-expression-btn');
         const modeTruthtableBtn = document.getElementById('mode-truthtable-btn');
         const createTableBtn = document.getElementById('create-table-btn');
+        const importFile = document.getElementById('import-file');
         const numVariablesSelect = document.getElementById('num-variables');
 
         if (generateBtn) {
@@ -52,6 +60,7 @@ class BooleanLogicApp {
                     this.handleGenerate();
                 }
             });
+            expressionInput.addEventListener('input', () => this.checkExpressionInput());
         }
 
         if (modeExpressionBtn) {
@@ -62,10 +71,33 @@ class BooleanLogicApp {
             modeTruthtableBtn.addEventListener('click', () => this.switchMode('truthtable'));
         }
 
+        const modeEquivalenceBtn = document.getElementById('mode-equivalence-btn');
+        if (modeEquivalenceBtn) {
+            modeEquivalenceBtn.addEventListener('click', () => this.switchMode('equivalence'));
+        }
+
+        ['reference-input', 'candidate-input'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('keypress', (e) => {
+                    if (e.key === 'Enter') {
+                        this.handleGenerate();
+                    }
+                });
+            }
+        });
+
         if (createTableBtn) {
             createTableBtn.addEventListener('click', () => this.createTruthTableInput());
         }
 
+        if (importFile) {
+            importFile.addEventListener('change', () => {
+                if (importFile.files.length > 0) this.importFile(importFile.files[0]);
+                importFile.value = '';
+            });
+        }
+
         if (numVariablesSelect) {
             numVariablesSelect.addEventListener('change', () => this.updateVariableNames());
         }
@@ -74,6 +106,66 @@ class BooleanLogicApp {
         if (numOutputsSelect) {
             numOutputsSelect.addEventListener('change', () => this.updateOutputNames());
         }
+
+        const modeKMapBtn = document.getElementById('mode-kmap-btn');
+        if (modeKMapBtn) {
+            modeKMapBtn.addEventListener('click', () => this.switchMode('kmap'));
+        }
+
+        const kmapStartBtn = document.getElementById('kmap-start-btn');
+        if (kmapStartBtn) {
+            kmapStartBtn.addEventListener('click', () => this.startBlankKMap());
+        }
+
+        const kmapNumVariables = document.getElementById('kmap-num-variables');
+        if (kmapNumVariables) {
+            kmapNumVariables.addEventListener('change', () => {
+                document.getElementById('kmap-variable-names').value = Array.from(
+                    { length: parseInt(kmapNumVariables.value) }, (_, i) => String.fromCharCode(65 + i)
+                ).join(',');
+            });
+        }
+
+        const kmapLayoutBtn = document.getElementById('kmap-layout-btn');
+        if (kmapLayoutBtn) {
+            kmapLayoutBtn.addEventListener('click', () => this.applyKMapLayout());
+        }
+
+        const kmapGroups = document.getElementById('kmap-groups');
+        if (kmapGroups) {
+            kmapGroups.addEventListener('change', () => {
+                if (this.multiOutputData.length > 0) {
+                    this.displayMultiOutputResults();
+                } else if (this.currentData.truthTable) {
+                    this.displayResults();
+                }
+            });
+        }
+
+        const kmapStyle = document.getElementById('kmap-style');
+        if (kmapStyle) {
+            kmapStyle.addEventListener('change', () => this.applyKMapLayout());
+        }
+
+        const coverCost = document.getElementById('cover-cost');
+        if (coverCost) {
+            coverCost.addEventListener('change', () => {
+                this.simplifier.cost = coverCost.value;
+                this.applyKMapLayout();
+            });
+        }
+
+        const enteredBtn = document.getElementById('entered-btn');
+        if (enteredBtn) {
+            enteredBtn.addEventListener('click', () => this.displayEnteredMap());
+        }
+
+        const showSubexpressions = document.getElementById('show-subexpressions');
+        if (showSubexpressions) {
+            showSubexpressions.addEventListener('change', () => {
+                if (this.currentData.truthTable) this.displayTruthTable(this.truthTablePage);
+            });
+        }
     }
 
     /**
@@ -90,27 +182,17 @@ class BooleanLogicApp {
 
     /**
      * Switch between input modes
-     * @param {string} mode - 'expression' or 'truthtable'
+     * @param {string} mode - 'expression', 'truthtable', 'kmap' or 'equivalence'
      */
     switchMode(mode) {
         this.currentMode = mode;
 
-        const expressionMode = document.getElementById('expression-input-mode');
-        const truthtableMode = document.getElementById('truthtable-input-mode');
-        const expressionBtn = document.getElementById('mode-expression-btn');
-        const truthtableBtn = document.getElementById('mode-truthtable-btn');
-
-        if (mode === 'expression') {
-            expressionMode.style.display = 'block';
-            truthtableMode.style.display = 'none';
-            expressionBtn.classList.add('active');
-            truthtableBtn.classList.remove('active');
-        } else {
-            expressionMode.style.display = 'none';
-            truthtableMode.style.display = 'block';
-            expressionBtn.classList.remove('active');
-            truthtableBtn.classList.add('active');
-        }
+        ['expression', 'truthtable', 'kmap', 'equivalence'].forEach(name => {
+            const panel = document.getElementById(`${name}-input-mode`);
+            const button = document.getElementById(`mode-${name}-btn`);
+            if (panel) panel.style.display = name === mode ? 'block' : 'none';
+            if (button) button.classList.toggle('active', name === mode);
+        });
     }
 
     /**
@@ -127,6 +209,7 @@ class BooleanLogicApp {
 
     /**
      * Create interactive truth table input
+     * @returns {boolean} - Whether the grid was built; false after reporting bad names
      */
     createTruthTableInput() {
         const numVars = parseInt(document.getElementById('num-variables').value);
@@ -137,14 +220,17 @@ class BooleanLogicApp {
         const variables = variableNamesInput.split(',').map(v => v.trim()).filter(v => v);
         const outputNames = outputNamesInput.split(',').map(v => v.trim()).filter(v => v);
 
+        // A grid from before no longer matches the fields
+        this.truthTableInputData = null;
+
         if (variables.length !== numVars) {
             this.showError(`Please enter exactly ${numVars} variable names`);
-            return;
+            return false;
         }
 
         if (outputNames.length !== numOutputs) {
             this.showError(`Please enter exactly ${numOutputs} output names`);
-            return;
+            return false;
         }
 
         const container = document.getElementById('truth-table-input-container');
@@ -196,12 +282,66 @@ class BooleanLogicApp {
         }, 0);
 
         // Store reference for later
+        this.cofactorIndex = 0;
         this.truthTableInputData = {
             variables: variables,
             numVars: numVars,
             outputNames: outputNames,
             numOutputs: numOutputs
         };
+        return true;
+    }
+
+    /**
+     * K-map mode: set up an all-zero single-output function, in the
+     * truth-table input grid as well, and show its map for editing
+     */
+    startBlankKMap() {
+        const numVars = document.getElementById('kmap-num-variables').value;
+        document.getElementById('num-variables').value = numVars;
+        document.getElementById('variable-names').value = document.getElementById('kmap-variable-names').value;
+        document.getElementById('num-outputs').value = '1';
+        document.getElementById('output-names').value = 'F';
+
+        if (this.createTruthTableInput()) {
+            this.handleGenerateFromTruthTable();
+        }
+    }
+
+    /**
+     * Cycle one K-map cell 0 → 1 → X through its truth-table input button
+     * and simplify again
+     * @param {number} minterm - Row of the truth table
+     * @param {number} output - Output column
+     */
+    cycleKMapCell(minterm, output) {
+        const button = document.querySelector(`.output-cell[data-row="${minterm}"][data-output="${output}"]`);
+        if (!button) return;
+
+        this.toggleOutputState(button);
+        this.handleGenerateFromTruthTable();
+    }
+
+    /**
+     * Make the cells of the displayed K-maps clickable when the results
+     * come from the truth-table input grid
+     */
+    enableKMapEditing() {
+        const container = document.getElementById('kmap');
+        if (!container) return;
+
+        container.classList.toggle('editable', this.kmapEditable);
+        if (!this.kmapEditable) return;
+
+        container.querySelectorAll('.kmap-cell[data-minterm]').forEach(cell => {
+            cell.addEventListener('click', () => {
+                const wrapper = cell.closest('[data-output]');
+                this.cycleKMapCell(
+                    parseInt(cell.getAttribute('data-minterm')),
+                    wrapper ? parseInt(wrapper.getAttribute('data-output')) : 0
+                );
+            });
+        });
     }
 
     /**
@@ -209,30 +349,78 @@ class BooleanLogicApp {
      * @param {HTMLElement} button - The button element
      */
     toggleOutputState(button) {
-        const currentState = button.getAttribute('data-state');
-        let newState;
-
         // Cycle: 0 → 1 → X → 0
-        switch (currentState) {
-            case '0':
-                newState = '1';
-                button.textContent = '1';
-                button.setAttribute('data-state', '1');
-                button.className = 'output-cell state-1';
-                break;
-            case '1':
-                newState = 'X';
-                button.textContent = 'X';
-                button.setAttribute('data-state', 'X');
-                button.className = 'output-cell state-x';
-                break;
-            case 'X':
-                newState = '0';
-                button.textContent = '0';
-                button.setAttribute('data-state', '0');
-                button.className = 'output-cell state-0';
-                break;
-        }
+        const next = { '0': '1', '1': 'X', 'X': '0' };
+        this.setOutputState(button, next[button.getAttribute('data-state')]);
+    }
+
+    /**
+     * Set an output cell to 0, 1 or X
+     * @param {HTMLElement} button - The button element
+     * @param {string} state - '0', '1' or 'X'
+     */
+    setOutputState(button, state) {
+        button.textContent = state;
+        button.setAttribute('data-state', state);
+        button.className = `output-cell state-${state.toLowerCase()}`;
+    }
+
+    /**
+     * Read a CSV or PLA file into truth-table mode
+     * @param {File} file - File chosen by the user; .pla files are read as PLA, anything else as CSV
+     */
+    importFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                let table;
+                if (/\.pla$/i.test(file.name)) {
+                    table = this.plaFormat.parse(reader.result);
+                } else {
+                    const inputs = parseInt(document.getElementById('csv-inputs').value);
+                    table = this.truthTableGen.parseCSV(reader.result, inputs > 0 ? { inputs } : {});
+                }
+                this.loadTruthTableInput(table);
+                this.showSuccess(`Imported ${table.variables.length} inputs and ${table.outputNames.length} ` +
+                    `output${table.outputNames.length === 1 ? '' : 's'} from ${file.name}`);
+            } catch (error) {
+                this.showError(error.message);
+            }
+        };
+        reader.onerror = () => this.showError(`Could not read ${file.name}`);
+        reader.readAsText(file);
+    }
+
+    /**
+     * Fill the truth-table input grid from imported data
+     * @param {Object} table - {variables, outputNames, outputs} from parseCSV() or PLAFormat.parse()
+     */
+    loadTruthTableInput(table) {
+        const { variables, outputNames, outputs } = table;
+
+        // Imports may go past the sizes offered for manual entry
+        const setSelect = (id, value, label) => {
+            const select = document.getElementById(id);
+            if (!select.querySelector(`option[value="${value}"]`)) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            }
+            select.value = value;
+        };
+        setSelect('num-variables', variables.length, `${variables.length} Variables`);
+        setSelect('num-outputs', outputNames.length, `${outputNames.length} Outputs`);
+        document.getElementById('variable-names').value = variables.join(',');
+        document.getElementById('output-names').value = outputNames.join(',');
+
+        if (!this.createTruthTableInput()) return;
+
+        document.querySelectorAll('.output-cell').forEach(button => {
+            const row = parseInt(button.getAttribute('data-row'));
+            const output = parseInt(button.getAttribute('data-output'));
+            this.setOutputState(button, String(outputs[output][row]));
+        });
     }
 
     /**
@@ -241,6 +429,8 @@ class BooleanLogicApp {
     handleGenerate() {
         if (this.currentMode === 'expression') {
             this.handleGenerateFromExpression();
+        } else if (this.currentMode === 'equivalence') {
+            this.handleCheckEquivalence();
         } else {
             this.handleGenerateFromTruthTable();
         }
@@ -259,23 +449,37 @@ class BooleanLogicApp {
         }
 
         try {
-            // Parse expression
-            this.currentData.parsed = this.parser.parse(expression);
+            // Parse expression, or several named equations separated by ';'
+            const system = this.parser.parseSystem(expression, this.getParseOptions());
 
-            if (!this.currentData.parsed.valid) {
-                this.showError('Invalid expression: ' + this.currentData.parsed.error);
+            if (!system.valid) {
+                this.showError('Invalid expression: ' + system.error);
+                this.showExpressionFeedback(this.parser.diagnoseSystem(expression, this.getParseOptions()));
                 return;
             }
+            this.showExpressionFeedback(null);
+            this.multiOutputData = [];
+            this.collapsedGroups = [];
+            this.cofactorIndex = 0;
+            this.kmapEditable = false;
+
+            if (system.equations.length > 1) {
+                this.generateFromEquations(system);
+                return;
+            }
+            this.currentData.parsed = system.equations[0].parsed;
 
             const numVars = this.currentData.parsed.variables.length;
 
-            if (numVars < 2) {
-                this.showError('Expression must have at least 2 variables');
+            if (numVars < 1) {
+                this.showError('Expression must have at least 1 variable');
                 return;
             }
 
-            if (numVars > 6) {
-                this.showError('K-map supports maximum 6 variables');
+            // Each stage has its own limit: the truth table and simplifier go
+            // further than the K-map, which falls back to cofactor maps
+            if (numVars > this.truthTableGen.maxVariables) {
+                this.showError(`Expressions support at most ${this.truthTableGen.maxVariables} variables`);
                 return;
             }
 
@@ -283,10 +487,12 @@ class BooleanLogicApp {
             this.currentData.truthTable = this.truthTableGen.generate(this.currentData.parsed);
 
             // Generate K-map
-            this.currentData.kmap = this.kmapGen.generate(this.currentData.truthTable);
+            this.currentData.kmap = this.buildKMap(this.currentData.truthTable);
 
             // Simplify
-            this.currentData.simplified = this.simplifier.simplify(this.currentData.kmap);
+            this.currentData.simplified = this.simplifier.simplify(
+                this.currentData.kmap || this.currentData.truthTable
+            );
 
             // Display results
             this.displayResults();
@@ -297,6 +503,89 @@ class BooleanLogicApp {
         }
     }
 
+    /**
+     * Generate one truth-table column, K-map and simplification per equation,
+     * shown the same way as multiple outputs in truth-table mode
+     * @param {Object} system - Valid result of parser.parseSystem()
+     */
+    generateFromEquations(system) {
+        const { variables, equations } = system;
+        const numVars = variables.length;
+
+        if (numVars < 1) {
+            this.showError('Expressions must have at least 1 variable');
+            return;
+        }
+        if (numVars > this.truthTableGen.maxVariables) {
+            this.showError(`Expressions support at most ${this.truthTableGen.maxVariables} variables`);
+            return;
+        }
+
+        this.multiOutputData = equations.map(({ name, parsed }) => {
+            const truthTable = this.truthTableGen.generate(parsed);
+            const kmap = this.buildKMap(truthTable);
+            return {
+                name: name,
+                parsed: parsed,
+                truthTable: truthTable,
+                kmap: kmap,
+                simplified: this.simplifier.simplify(kmap || truthTable)
+            };
+        });
+
+        this.currentData = {
+            parsed: null,
+            truthTable: null,
+            kmap: null,
+            simplified: null,
+            schematic: null
+        };
+
+        this.displayMultiOutputResults();
+    }
+
+    /**
+     * Compare the reference and simplified expressions
+     */
+    handleCheckEquivalence() {
+        const reference = document.getElementById('reference-input').value.trim();
+        const candidate = document.getElementById('candidate-input').value.trim();
+        const container = document.getElementById('equivalence-result');
+
+        if (!reference || !candidate) {
+            this.showError('Please enter both expressions to compare');
+            return;
+        }
+
+        try {
+            const strictNames = document.getElementById('strict-names');
+            const result = this.equivalenceChecker.check(reference, candidate, {
+                strict: strictNames ? strictNames.checked : false
+            });
+
+            if (container) {
+                container.innerHTML = this.equivalenceChecker.renderHTML(result);
+            }
+        } catch (error) {
+            if (container) container.innerHTML = '';
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Read parser options from the expression input controls
+     * @returns {Object} - Options for BooleanParser.parse
+     */
+    getParseOptions() {
+        const strictNames = document.getElementById('strict-names');
+        const variableOrder = document.getElementById('variable-order');
+        return {
+            strict: strictNames ? strictNames.checked : false,
+            variables: variableOrder ?
+                variableOrder.value.split(',').map(v => v.trim()).filter(v => v) : []
+        };
+    }
+
     /**
      * Generate from truth table input
      */
@@ -309,6 +598,9 @@ class BooleanLogicApp {
         try {
             const { variables, numVars, outputNames, numOutputs } = this.truthTableInputData;
             this.multiOutputData = [];
+            this.kmapEditable = true;
+            // The grid, not an earlier expression, is the source now
+            this.currentData.parsed = null;
 
             if (numOutputs === 1) {
                 // Single output
@@ -329,8 +621,10 @@ class BooleanLogicApp {
                 });
 
                 this.currentData.truthTable = this.truthTableGen.generateFromOutputs(variables, outputs, dontCares);
-                this.currentData.kmap = this.kmapGen.generate(this.currentData.truthTable);
-                this.currentData.simplified = this.simplifier.simplify(this.currentData.kmap);
+                this.currentData.kmap = this.buildKMap(this.currentData.truthTable);
+                this.currentData.simplified = this.simplifier.simplify(
+                    this.currentData.kmap || this.currentData.truthTable
+                );
 
                 // Display results
                 this.displayResults();
@@ -365,8 +659,8 @@ class BooleanLogicApp {
 
                     // Generate truth table, K-map, and simplified expression for this output
                     const truthTable = this.truthTableGen.generateFromOutputs(variables, outputs, dontCares);
-                    const kmap = this.kmapGen.generate(truthTable);
-                    const simplified = this.simplifier.simplify(kmap);
+                    const kmap = this.buildKMap(truthTable);
+                    const simplified = this.simplifier.simplify(kmap || truthTable);
 
                     this.multiOutputData.push({
                         name: outputNames[outIdx],
@@ -393,18 +687,51 @@ class BooleanLogicApp {
         this.displayTruthTable();
         this.displayKMap();
         this.displaySimplified();
+        this.displayAlgebraSteps();
         this.displaySchematic();
+        this.displayEnteredMap();
+        this.linkGroupHighlights();
     }
 
     /**
      * Display truth table
+     * @param {number} page - Page to show, for tables longer than one page
      */
-    displayTruthTable() {
+    displayTruthTable(page = 0) {
         const container = document.getElementById('truth-table');
         if (!container) return;
 
-        const html = this.truthTableGen.renderHTML(this.currentData.truthTable);
+        this.truthTablePage = page;
+        const html = this.truthTableGen.renderHTML(this.currentData.truthTable, page, {
+            subexpressions: this.showSubexpressions(),
+            collapsed: this.collapsedGroups
+        });
         container.innerHTML = html;
+
+        container.querySelectorAll('.table-pager button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.displayTruthTable(parseInt(button.getAttribute('data-page')));
+            });
+        });
+
+        container.querySelectorAll('.subexpr-toggle').forEach(button => {
+            button.addEventListener('click', () => {
+                const group = parseInt(button.getAttribute('data-group'));
+                this.collapsedGroups = this.collapsedGroups.includes(group)
+                    ? this.collapsedGroups.filter(g => g !== group)
+                    : [...this.collapsedGroups, group];
+                this.displayTruthTable(this.truthTablePage);
+            });
+        });
+    }
+
+    /**
+     * Whether the subexpression columns are switched on
+     * @returns {boolean}
+     */
+    showSubexpressions() {
+        const checkbox = document.getElementById('show-subexpressions');
+        return checkbox ? checkbox.checked : false;
     }
 
     /**
@@ -414,8 +741,54 @@ class BooleanLogicApp {
         const container = document.getElementById('kmap');
         if (!container) return;
 
-        const html = this.kmapGen.renderHTML(this.currentData.kmap);
+        if (this.currentData.kmap) {
+            container.innerHTML = this.kmapGen.renderHTML(this.currentData.kmap,
+                this.kmapGroups(this.currentData.simplified), this.kmapGroupKey(''));
+            this.enableKMapEditing();
+            return;
+        }
+
+        const { numVars } = this.currentData.truthTable;
+        if (numVars < this.kmapGen.minVariables) {
+            container.innerHTML = `<p class="kmap-notice">A K-map needs at least ${this.kmapGen.minVariables} variables.</p>`;
+            return;
+        }
+
+        const count = this.kmapGen.cofactorCount(numVars);
+        this.displayCofactorMap(this.cofactorIndex < count ? this.cofactorIndex : 0);
+    }
+
+    /**
+     * Display one cofactor map of a function too large for a single K-map,
+     * with a selector for the values of the fixed variables
+     * @param {number} index - Assignment of the fixed variables
+     */
+    displayCofactorMap(index) {
+        const container = document.getElementById('kmap');
+        const truthTable = this.currentData.truthTable;
+        const kmap = this.kmapGen.generateCofactor(truthTable, index);
+        const { variables } = kmap.cofactor;
+        this.cofactorIndex = index;
+
+        let html = `<p class="kmap-notice">A single K-map shows at most ${this.kmapGen.maxVariables} variables. ` +
+            `Showing the cofactor map over ${kmap.variables.join(', ')} for fixed ${variables.join(', ')}.</p>`;
+
+        html += '<div class="input-group"><label for="kmap-cofactor">Fixed values:</label>';
+        html += '<select id="kmap-cofactor">';
+        for (let i = 0; i < this.kmapGen.cofactorCount(truthTable.numVars); i++) {
+            const bits = i.toString(2).padStart(variables.length, '0');
+            const label = variables.map((v, j) => `${v}=${bits[j]}`).join(', ');
+            html += `<option value="${i}"${i === index ? ' selected' : ''}>${label}</option>`;
+        }
+        html += '</select></div>';
+
+        html += this.kmapGen.renderHTML(kmap);
         container.innerHTML = html;
+        this.enableKMapEditing();
+
+        document.getElementById('kmap-cofactor').addEventListener('change', (e) => {
+            this.displayCofactorMap(parseInt(e.target.value));
+        });
     }
 
     /**
@@ -424,14 +797,264 @@ class BooleanLogicApp {
     displaySimplified() {
         const sopElement = document.getElementById('sop-result');
         const posElement = document.getElementById('pos-result');
+        this.displayMinimality([this.currentData.simplified]);
 
         if (sopElement) {
-            sopElement.textContent = this.currentData.simplified.sop;
+            sopElement.innerHTML = this.renderSOPTerms(this.currentData.simplified);
         }
 
         if (posElement) {
-            posElement.textContent = this.currentData.simplified.pos;
+            posElement.innerHTML = this.renderPOSTerms(this.currentData.simplified);
+        }
+    }
+
+    /**
+     * Say whether the covers shown are known to be minimum under the
+     * chosen cost, or were completed greedily past the search limit
+     * @param {Array} results - Results of KMapSimplifier.simplify()
+     */
+    displayMinimality(results) {
+        const element = document.getElementById('simplified-result');
+        if (!element) return;
+
+        const cost = this.simplifier.cost === 'literals'
+            ? 'literal count, then term count'
+            : 'term count, then literal count';
+        const greedy = [
+            results.some(result => result.provablyMinimal === false) ? 'SOP' : null,
+            results.some(result => result.posProvablyMinimal === false) ? 'POS' : null
+        ].filter(Boolean);
+
+        element.innerHTML = greedy.length === 0
+            ? `<p class="kmap-notice">Minimum covers by ${cost}.</p>`
+            : `<p class="kmap-notice">The ${greedy.join(' and ')} cover had too many choices to search ` +
+              'and was completed greedily, so it may not be minimal.</p>';
+    }
+
+    /**
+     * SOP result with each term in the color of its K-map group
+     * @param {Object} simplified - Result of KMapSimplifier.simplify()
+     * @param {string} groupKey - Prefix matching the one given to kmapGen.renderHTML()
+     * @returns {string} - HTML string
+     */
+    renderSOPTerms(simplified, groupKey = '') {
+        const groups = simplified.groups || [];
+        if (groups.length === 0) return this.escapeHTML(simplified.sop);
+
+        return groups.map((group, index) =>
+            `<span class="sop-term" data-kmap-group="${groupKey}${index}" ` +
+            `style="--group-color: ${this.kmapGen.groupColor(index)}">${this.escapeHTML(group.term)}</span>`
+        ).join(' + ');
+    }
+
+    /**
+     * POS result with each sum in the color of its group of 0s
+     * @param {Object} simplified - Result of KMapSimplifier.simplify()
+     * @param {string} groupKey - Prefix matching the one given to kmapGen.renderHTML()
+     * @returns {string} - HTML string
+     */
+    renderPOSTerms(simplified, groupKey = '') {
+        const groups = simplified.posGroups || [];
+        if (groups.length === 0) return this.escapeHTML(simplified.pos);
+
+        return groups.map((group, index) =>
+            `<span class="pos-term" data-kmap-group="${groupKey}pos-${index}" ` +
+            `style="--group-color: ${this.kmapGen.groupColor(index)}">${this.escapeHTML(group.term)}</span>`
+        ).join('·');
+    }
+
+    /**
+     * Whether the K-map shows the groups of 0s (POS) instead of the 1s (SOP)
+     * @returns {boolean}
+     */
+    showingZeroGroups() {
+        const select = document.getElementById('kmap-groups');
+        return select ? select.value === 'pos' : false;
+    }
+
+    /**
+     * Groups to draw on a K-map: the 1s behind the SOP or the 0s behind the POS
+     * @param {Object} simplified - Result of KMapSimplifier.simplify()
+     * @returns {Array} - Groups
+     */
+    kmapGroups(simplified) {
+        return this.showingZeroGroups() ? simplified.posGroups : simplified.groups;
+    }
+
+    /**
+     * data-kmap-group prefix for the groups drawn, matching the keys of
+     * renderSOPTerms() or renderPOSTerms()
+     * @param {string} prefix - Output prefix ('' or 'index-')
+     * @returns {string}
+     */
+    kmapGroupKey(prefix) {
+        return this.showingZeroGroups() ? `${prefix}pos-` : prefix;
+    }
+
+    /**
+     * Highlight a K-map group, its legend entry and its SOP or POS term
+     * together while any of them is hovered
+     * @param {string} selector - Elements to link (default: the main K-map and results)
+     */
+    linkGroupHighlights(selector = '#kmap [data-kmap-group], #sop-result [data-kmap-group], #pos-result [data-kmap-group]') {
+        document.querySelectorAll(selector).forEach(element => {
+            const key = element.getAttribute('data-kmap-group');
+            const highlight = (on) => {
+                document.querySelectorAll(`[data-kmap-group="${key}"]`).forEach(linked => {
+                    linked.classList.toggle('highlight', on);
+                });
+            };
+            element.addEventListener('mouseenter', () => highlight(true));
+            element.addEventListener('mouseleave', () => highlight(false));
+        });
+    }
+
+    /**
+     * K-map for a truth table in the layout chosen in the K-map panel, or
+     * null past the K-map's variable limit. A layout that does not fit the
+     * function is reported and the default layout used instead.
+     * @param {Object} truthTable - Truth table data
+     * @returns {Object|null} - K-map data
+     */
+    buildKMap(truthTable) {
+        if (!this.kmapGen.supports(truthTable.numVars)) return null;
+
+        try {
+            return this.kmapGen.generate(truthTable, this.kmapOptions());
+        } catch (error) {
+            this.showError(`K-map layout: ${error.message}. Using the default layout.`);
+            return this.kmapGen.generate(truthTable);
+        }
+    }
+
+    /**
+     * Layout options from the K-map panel, for kmapGen.generate()
+     * @returns {Object} - {style}, plus {rows, cols} when either field is filled in
+     */
+    kmapOptions() {
+        const value = id => {
+            const element = document.getElementById(id);
+            return element ? element.value : '';
+        };
+        const names = id => value(id).split(/[\s,]+/).filter(Boolean);
+
+        const options = { style: value('kmap-style') || 'adjacent' };
+        const rows = names('kmap-rows');
+        const cols = names('kmap-cols');
+        if (rows.length > 0 || cols.length > 0) {
+            options.rows = rows;
+            options.cols = cols;
         }
+        return options;
+    }
+
+    /**
+     * Redraw the current results with the layout and cover cost now
+     * chosen; groups are found again since they depend on both
+     */
+    applyKMapLayout() {
+        if (this.multiOutputData.length > 0) {
+            this.multiOutputData.forEach(output => {
+                output.kmap = this.buildKMap(output.truthTable);
+                output.simplified = this.simplifier.simplify(output.kmap || output.truthTable);
+            });
+            this.displayMultiOutputResults();
+        } else if (this.currentData.truthTable) {
+            this.currentData.kmap = this.buildKMap(this.currentData.truthTable);
+            this.currentData.simplified = this.simplifier.simplify(
+                this.currentData.kmap || this.currentData.truthTable
+            );
+            this.displayResults();
+        }
+    }
+
+    /**
+     * Display the variable-entered map: the variables named in the entered
+     * variables field are folded into the cells of a smaller map, with the
+     * SOP read from it and the Quine-McCluskey answer to check it against
+     */
+    displayEnteredMap() {
+        const container = document.getElementById('entered-kmap');
+        const input = document.getElementById('entered-variables');
+        if (!container || !input) return;
+
+        const entered = input.value.split(/[\s,]+/).filter(Boolean);
+        if (entered.length === 0 || (!this.currentData.truthTable && this.multiOutputData.length === 0)) {
+            container.innerHTML = '';
+            return;
+        }
+
+        try {
+            const { outputs } = this.getExportOutputs();
+            container.innerHTML = outputs.map(({ name, truthTable }, index) => {
+                const kmap = this.kmapGen.generateEntered(truthTable, entered,
+                    { style: this.kmapOptions().style });
+                const result = this.simplifier.simplifyEntered(kmap);
+                const groupKey = `entered-${index}-`;
+                const { check } = result;
+
+                let html = '<div class="entered-output">';
+                html += this.kmapGen.renderHTML(kmap, result.groups, groupKey);
+                html += `<p class="entered-result">${this.escapeHTML(name)} = ${this.renderSOPTerms(result, groupKey)}</p>`;
+                html += check.equivalent
+                    ? `<p class="entered-check">Same function as the Quine-McCluskey result ` +
+                      `${this.escapeHTML(check.sop)} (${result.literals} literals against ${check.literals}).</p>`
+                    : '<p class="entered-check mismatch">The map reading does not match the truth table.</p>';
+                html += '</div>';
+                return html;
+            }).join('');
+            this.linkGroupHighlights('#entered-kmap [data-kmap-group]');
+        } catch (error) {
+            container.innerHTML = `<p class="kmap-notice">${this.escapeHTML(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Display the step-by-step algebraic derivation (expression mode only)
+     */
+    displayAlgebraSteps() {
+        const container = document.getElementById('algebra-steps');
+        if (!container) return;
+
+        // Equations entered together get one set of steps each
+        const equations = this.multiOutputData.filter(output => output.parsed && output.parsed.tree);
+        if (this.currentMode === 'expression' && equations.length > 0) {
+            container.innerHTML = equations.map(output => {
+                let html = `<h3>${output.name}</h3>`;
+                try {
+                    html += this.algebraicSimplifier.renderHTML(this.algebraicSimplifier.simplify(output.parsed));
+                } catch (error) {
+                    html += `<small>${this.escapeHTML(error.message)}</small>`;
+                }
+                return html;
+            }).join('');
+            return;
+        }
+
+        const parsed = this.currentData.parsed;
+        if (this.currentMode !== 'expression' || !parsed || !parsed.tree) {
+            container.innerHTML = '<small>Steps are shown for expressions entered in expression mode</small>';
+            return;
+        }
+
+        try {
+            const result = this.algebraicSimplifier.simplify(parsed);
+            container.innerHTML = this.algebraicSimplifier.renderHTML(result);
+        } catch (error) {
+            container.innerHTML = `<small>${this.escapeHTML(error.message)}</small>`;
+        }
+    }
+
+    /**
+     * Name of the single output shown: the equation's name in expression
+     * mode, else the first name from the truth-table or K-map input
+     * @returns {string}
+     */
+    outputName() {
+        if (this.currentMode !== 'expression' && this.truthTableInputData) {
+            return this.truthTableInputData.outputNames[0];
+        }
+        return this.currentData.parsed && this.currentData.parsed.name || 'F';
     }
 
     /**
@@ -441,13 +1064,10 @@ class BooleanLogicApp {
         const container = document.getElementById('schematic');
         if (!container) return;
 
-        const outputName = this.truthTableInputData ?
-            (this.truthTableInputData.outputNames ? this.truthTableInputData.outputNames[0] : 'F') : 'F';
-
         const svg = this.schematicGen.generateFromSOP(
             this.currentData.simplified.sop,
             this.currentData.truthTable.variables,
-            outputName
+            this.outputName()
         );
 
         container.innerHTML = svg;
@@ -457,8 +1077,6 @@ class BooleanLogicApp {
      * Display multi-output results
      */
     displayMultiOutputResults() {
-        const { variables } = this.truthTableInputData;
-
         // Display combined truth table
         this.displayMultiOutputTruthTable();
 
@@ -467,20 +1085,31 @@ class BooleanLogicApp {
 
         // Display simplified expressions
         this.displayMultiOutputSimplified();
+        this.displayAlgebraSteps();
 
         // Display schematics
         this.displayMultiOutputSchematics();
+        this.displayEnteredMap();
+
+        this.linkGroupHighlights();
     }
 
     /**
-     * Display combined truth table for multiple outputs
+     * Display combined truth table for multiple outputs, a page at a time
+     * like the single-output table
+     * @param {number} page - Page to show (0-based)
      */
-    displayMultiOutputTruthTable() {
+    displayMultiOutputTruthTable(page = 0) {
         const container = document.getElementById('truth-table');
         if (!container) return;
 
-        const { variables, outputNames, numVars } = this.truthTableInputData;
+        const { variables, numVars } = this.multiOutputData[0].truthTable;
         const numRows = Math.pow(2, numVars);
+        const pages = this.truthTableGen.pageCount(this.multiOutputData[0].truthTable);
+        page = Math.min(Math.max(page, 0), pages - 1);
+        this.truthTablePage = page;
+        const start = page * this.truthTableGen.pageSize;
+        const end = Math.min(start + this.truthTableGen.pageSize, numRows);
 
         let html = '<table><thead><tr>';
 
@@ -490,14 +1119,14 @@ class BooleanLogicApp {
         });
 
         // Output headers
-        outputNames.forEach(outName => {
-            html += `<th>${outName}</th>`;
+        this.multiOutputData.forEach(output => {
+            html += `<th>${output.name}</th>`;
         });
 
         html += '</tr></thead><tbody>';
 
-        // Rows
-        for (let i = 0; i < numRows; i++) {
+        // Rows of this page
+        for (let i = start; i < end; i++) {
             const binary = i.toString(2).padStart(numVars, '0');
             html += '<tr>';
 
@@ -508,7 +1137,7 @@ class BooleanLogicApp {
 
             // Output columns
             this.multiOutputData.forEach(output => {
-                const value = output.truthTable.rows[i].output;
+                const value = this.truthTableGen.getOutput(output.truthTable, i);
                 html += `<td class="output-${value}">${value}</td>`;
             });
 
@@ -516,7 +1145,14 @@ class BooleanLogicApp {
         }
 
         html += '</tbody></table>';
+        html += this.truthTableGen.renderPager(page, numRows);
         container.innerHTML = html;
+
+        container.querySelectorAll('.table-pager button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.displayMultiOutputTruthTable(parseInt(button.getAttribute('data-page')));
+            });
+        });
     }
 
     /**
@@ -527,13 +1163,17 @@ class BooleanLogicApp {
         if (!container) return;
 
         let html = '';
-        this.multiOutputData.forEach(output => {
+        this.multiOutputData.forEach((output, index) => {
+            html += `<div class="kmap-output" data-output="${index}">`;
             html += `<h3>K-map for ${output.name}</h3>`;
-            html += this.kmapGen.renderHTML(output.kmap);
-            html += '<br><br>';
+            html += output.kmap
+                ? this.kmapGen.renderHTML(output.kmap, this.kmapGroups(output.simplified), this.kmapGroupKey(`${index}-`))
+                : `<p class="kmap-notice">A single K-map shows at most ${this.kmapGen.maxVariables} variables.</p>`;
+            html += '</div><br><br>';
         });
 
         container.innerHTML = html;
+        this.enableKMapEditing();
     }
 
     /**
@@ -542,19 +1182,20 @@ class BooleanLogicApp {
     displayMultiOutputSimplified() {
         const sopElement = document.getElementById('sop-result');
         const posElement = document.getElementById('pos-result');
+        this.displayMinimality(this.multiOutputData.map(output => output.simplified));
 
         if (sopElement) {
             let sopHtml = '';
-            this.multiOutputData.forEach(output => {
-                sopHtml += `<div><strong>${output.name}:</strong> ${output.simplified.sop}</div>`;
+            this.multiOutputData.forEach((output, index) => {
+                sopHtml += `<div><strong>${output.name}:</strong> ${this.renderSOPTerms(output.simplified, `${index}-`)}</div>`;
             });
             sopElement.innerHTML = sopHtml;
         }
 
         if (posElement) {
             let posHtml = '';
-            this.multiOutputData.forEach(output => {
-                posHtml += `<div><strong>${output.name}:</strong> ${output.simplified.pos}</div>`;
+            this.multiOutputData.forEach((output, index) => {
+                posHtml += `<div><strong>${output.name}:</strong> ${this.renderPOSTerms(output.simplified, `${index}-`)}</div>`;
             });
             posElement.innerHTML = posHtml;
         }
@@ -567,7 +1208,7 @@ class BooleanLogicApp {
         const container = document.getElementById('schematic');
         if (!container) return;
 
-        const { variables } = this.truthTableInputData;
+        const { variables } = this.multiOutputData[0].truthTable;
         const outputs = this.multiOutputData.map(output => ({
             name: output.name,
             sopExpression: output.simplified.sop
@@ -581,48 +1222,147 @@ class BooleanLogicApp {
      * Handle export functionality
      */
     handleExport() {
-        if (!this.currentData.truthTable) {
+        if (!this.currentData.truthTable && this.multiOutputData.length === 0) {
             this.showError('No data to export. Generate results first.');
             return;
         }
 
+        const formatSelect = document.getElementById('export-format');
+        const format = formatSelect ? formatSelect.value : 'json';
+
         try {
-            const data = this.prepareExportData();
-            this.downloadAsJSON(data, 'boolean-logic-results.json');
+            const { outputs, variables } = this.getExportOutputs();
+            const tables = outputs.map(output => output.truthTable);
+            const names = outputs.map(output => output.name);
+
+            if (format === 'pla') {
+                this.downloadFile(this.plaFormat.export(outputs, variables),
+                    'boolean-logic-results.pla', 'text/plain');
+            } else if (format === 'markdown') {
+                this.downloadFile(this.truthTableGen.toMarkdown(tables, names),
+                    'truth-table.md', 'text/markdown');
+            } else if (format === 'latex') {
+                this.downloadFile(this.truthTableGen.toLaTeX(tables, names),
+                    'truth-table.tex', 'application/x-tex');
+            } else if (format === 'cubes') {
+                this.downloadFile(this.truthTableGen.toCubes(tables, names),
+                    'truth-table-cubes.txt', 'text/plain');
+            } else if (format === 'kmap-svg' || format === 'kmap-svg-indices') {
+                this.downloadKMapSVG(outputs, format === 'kmap-svg-indices');
+            } else {
+                this.downloadAsJSON(this.prepareExportData(), 'boolean-logic-results.json');
+            }
             this.showSuccess('Results exported successfully!');
         } catch (error) {
             this.showError('Export failed: ' + error.message);
         }
     }
 
+    /**
+     * Download each output's K-map as an SVG image
+     *
+     * Past eight variables the image is the cofactor map currently shown,
+     * without groups.
+     *
+     * @param {Array} outputs - From getExportOutputs()
+     * @param {boolean} showIndices - Print minterm numbers in the cells
+     */
+    downloadKMapSVG(outputs, showIndices) {
+        outputs.forEach(({ name, truthTable, simplified }) => {
+            const kmap = this.buildKMap(truthTable) ||
+                this.kmapGen.generateCofactor(truthTable, this.cofactorIndex);
+            const groups = kmap.cofactor ? [] : this.kmapGroups(simplified);
+            const svg = this.kmapGen.renderSVG(kmap, groups, { showIndices: showIndices });
+            const filename = outputs.length > 1 ? `kmap-${name}.svg` : 'kmap.svg';
+            this.downloadFile(svg, filename, 'image/svg+xml');
+        });
+    }
+
     /**
      * Prepare data for export
      * @returns {Object} - Export data
      */
     prepareExportData() {
+        // Several outputs, from truth-table mode or a set of equations
+        if (this.multiOutputData.length > 0) {
+            return {
+                variables: this.multiOutputData[0].truthTable.variables,
+                outputs: this.multiOutputData.map(output => ({
+                    name: output.name,
+                    expression: output.parsed ? output.parsed.original : null,
+                    ...this.prepareFunctionData(output)
+                })),
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        return {
+            expression: this.currentData.parsed ? this.currentData.parsed.original : null,
+            variables: this.currentData.truthTable.variables,
+            ...this.prepareFunctionData(this.currentData),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Export fields for one function
+     * @param {Object} data - {truthTable, kmap, simplified}
+     * @returns {Object} - {truthTable, kmap, simplified}
+     */
+    prepareFunctionData(data) {
         return {
-            expression: this.currentData.parsed.original,
-            variables: this.currentData.parsed.variables,
             truthTable: {
-                csv: this.truthTableGen.toCSV(this.currentData.truthTable),
-                text: this.truthTableGen.toText(this.currentData.truthTable),
-                minterms: this.currentData.truthTable.minterms,
-                maxterms: this.currentData.truthTable.maxterms
-            },
-            kmap: {
-                variables: this.currentData.kmap.variables,
-                minterms: this.currentData.kmap.minterms,
-                dimensions: this.currentData.kmap.dimensions
+                csv: this.truthTableGen.toCSV(data.truthTable, { subexpressions: this.showSubexpressions() }),
+                text: this.truthTableGen.toText(data.truthTable, { subexpressions: this.showSubexpressions() }),
+                minterms: data.truthTable.minterms,
+                maxterms: data.truthTable.maxterms
             },
+            kmap: data.kmap ? {
+                variables: data.kmap.variables,
+                minterms: data.kmap.minterms,
+                dimensions: data.kmap.dimensions
+            } : null,
             simplified: {
-                sop: this.currentData.simplified.sop,
-                pos: this.currentData.simplified.pos,
-                primeImplicants: this.currentData.simplified.primeImplicants.map(pi => ({
+                sop: data.simplified.sop,
+                pos: data.simplified.pos,
+                primeImplicants: data.simplified.primeImplicants.map(pi => ({
                     binary: pi.binary,
                     minterms: pi.minterms
-                }))
-            },
-            timestamp: new Date().toISOString()
+                })),
+                primeImplicates: data.simplified.primeImplicates.map(pi => ({
+                    binary: pi.binary,
+                    maxterms: pi.minterms
+                })),
+                cost: this.simplifier.cost,
+                provablyMinimal: data.simplified.provablyMinimal,
+                posProvablyMinimal: data.simplified.posProvablyMinimal
+            }
+        };
+    }
+
+    /**
+     * Collect the truth table and minimized cover of each output shown
+     * @returns {Object} - {outputs: [{name, truthTable, simplified}], variables}
+     */
+    getExportOutputs() {
+        if (this.multiOutputData.length > 0) {
+            return {
+                outputs: this.multiOutputData.map(output => ({
+                    name: output.name,
+                    truthTable: output.truthTable,
+                    simplified: output.simplified
+                })),
+                variables: this.multiOutputData[0].truthTable.variables
+            };
+        }
+
+        return {
+            outputs: [{
+                name: this.outputName(),
+                truthTable: this.currentData.truthTable,
+                simplified: this.currentData.simplified
+            }],
+            variables: this.currentData.truthTable.variables
         };
     }
 
@@ -632,8 +1372,17 @@ class BooleanLogicApp {
      * @param {string} filename - Filename
      */
     downloadAsJSON(data, filename) {
-        const json = JSON.stringify(data, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
+        this.downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+    }
+
+    /**
+     * Download text as a file
+     * @param {string} content - File contents
+     * @param {string} filename - Filename
+     * @param {string} type - MIME type
+     */
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type: type });
         const url = URL.createObjectURL(blob);
 
         const a = document.createElement('a');
@@ -645,6 +1394,78 @@ class BooleanLogicApp {
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Re-check the expression as it is typed
+     */
+    checkExpressionInput() {
+        const input = document.getElementById('expression-input');
+        const expression = input.value.trim();
+        const diagnostic = expression ? this.parser.diagnoseSystem(input.value, this.getParseOptions()) : null;
+        this.showExpressionFeedback(diagnostic, false);
+    }
+
+    /**
+     * Highlight the offending span of the expression input, with a caret
+     * under it and a fix button when the parser suggests one
+     * @param {Object|null} diagnostic - Result of parser.diagnose(), or null to clear
+     * @param {boolean} select - Also select the span in the input box
+     */
+    showExpressionFeedback(diagnostic, select = true) {
+        const container = document.getElementById('expression-feedback');
+        const input = document.getElementById('expression-input');
+        if (!container || !input) return;
+
+        if (!diagnostic) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const expression = input.value;
+        let html = '';
+
+        if (diagnostic.position !== null) {
+            const start = diagnostic.position;
+            const end = start + Math.max(diagnostic.length, 1);
+            html += '<pre class="expression-source">' +
+                this.escapeHTML(expression.slice(0, start)) +
+                `<mark>${this.escapeHTML(expression.slice(start, end) || ' ')}</mark>` +
+                this.escapeHTML(expression.slice(end)) + '\n' +
+                ' '.repeat(start) + '^'.repeat(end - start) + '</pre>';
+
+            if (select) {
+                input.focus();
+                input.setSelectionRange(start, end);
+            }
+        }
+
+        html += `<div class="expression-error">${this.escapeHTML(diagnostic.message)}</div>`;
+
+        if (diagnostic.suggestion) {
+            html += `<button type="button" class="btn-secondary fix-btn">` +
+                `${this.escapeHTML(diagnostic.suggestion.description)}</button>`;
+        }
+
+        container.innerHTML = html;
+
+        const fixBtn = container.querySelector('.fix-btn');
+        if (fixBtn) {
+            fixBtn.addEventListener('click', () => {
+                input.value = diagnostic.suggestion.expression;
+                this.checkExpressionInput();
+                input.focus();
+            });
+        }
+    }
+
+    /**
+     * Escape text for insertion into HTML
+     * @param {string} text - Raw text
+     * @returns {string} - Escaped text
+     */
+    escapeHTML(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
     /**
      * Show error message
      * @param {string} message - Error message
@@ -1,150 +1,939 @@
 /**
  * Boolean Expression Parser
- * Parses Boolean expressions and extracts variables
+ * Tokenizes Boolean expressions and builds an expression tree
+ *
+ * Operator precedence (highest first):
+ *   NOT            (prefix ! ~ NOT, postfix ')
+ *   AND, NAND      (* · . & ∧ AND, or implicit: AB;  ↑ NAND)
+ *   XOR, XNOR      (^ ⊕ XOR;  ⊙ XNOR)
+ *   OR, NOR        (+ | ∨ OR;  ↓ NOR)
+ *   IMPLIES        (→ =>)
+ *   IFF            (↔ <=>)
+ * Binary operators are left-associative (A ↑ B ↑ C = (A ↑ B) ↑ C), except
+ * IMPLIES, which is right-associative (A → B → C = A → (B → C)).
+ * NOT applies to any operand: A', (A+B)', ~(AB), A'' (double negation).
+ * 0 and 1 are constants.
+ *
+ * Variable names:
+ *   default  - one letter with an optional numeric subscript (A, A1, x_0);
+ *              adjacent letters are an implicit AND (AB = A·B)
+ *   strict   - identifiers run until whitespace or an operator
+ *              (sel, en, data_in); separate them to AND them (sel en)
+ * Word operators (AND, OR, NOT, ...) are upper case and must stand alone.
+ *
+ * Errors are ParseErrors with a code and the offset of the offending text,
+ * so the input can be highlighted and, where the fix is obvious, corrected.
  */
 
+/**
+ * Parse error with the location of the offending text
+ *
+ * Codes:
+ *   EMPTY_EXPRESSION     - nothing to parse
+ *   UNKNOWN_SYMBOL       - a character that is not a name, constant or operator
+ *   UNBALANCED_PAREN     - '(' without ')' or ')' without '('
+ *   DANGLING_OPERATOR    - an operator with no operand on one side
+ *   EMPTY_OPERAND        - two operators in a row, or empty parentheses
+ *   UNDECLARED_VARIABLE  - a variable missing from the declared order
+ *   INVALID_DECLARATION  - a bad header, variable order or minterm list
+ */
+class ParseError extends Error {
+    /**
+     * @param {string} code - Error code
+     * @param {string} message - Error message
+     * @param {number|null} position - Offset of the offending text, or null
+     * @param {number} length - Length of the offending text
+     */
+    constructor(code, message, position = null, length = 1) {
+        super(message);
+        this.name = 'ParseError';
+        this.code = code;
+        this.position = position;
+        this.length = length;
+    }
+}
+
 class BooleanParser {
     constructor() {
         this.operators = {
-            'NOT': ['!', "'", '~'],
-            'AND': ['*', '·', '.', '&', '∧'],
-            'OR': ['+', '|', '∨'],
-            'XOR': ['^', '⊕']
+            'NOT': ['!', "'", '~', 'NOT'],
+            'AND': ['*', '·', '.', '&', '∧', '&&', 'AND'],
+            'NAND': ['↑', 'NAND'],
+            'OR': ['+', '|', '∨', '||', 'OR'],
+            'NOR': ['↓', 'NOR'],
+            'XOR': ['^', '⊕', 'XOR'],
+            'XNOR': ['⊙', 'XNOR'],
+            'IMPLIES': ['→', '=>'],
+            'IFF': ['↔', '<=>']
+        };
+
+        // Identifier patterns for the default and strict naming modes
+        this.identifierPatterns = {
+            default: /^[A-Za-z](?:_?\d+)?/,
+            strict: /^[A-Za-z_][A-Za-z0-9_]*/
+        };
+
+        // Binary operators by name: higher precedence binds tighter
+        this.binaryOperators = {
+            'AND': { precedence: 5, associativity: 'left', apply: (a, b) => a & b },
+            'NAND': { precedence: 5, associativity: 'left', apply: (a, b) => 1 - (a & b) },
+            'XOR': { precedence: 4, associativity: 'left', apply: (a, b) => a ^ b },
+            'XNOR': { precedence: 4, associativity: 'left', apply: (a, b) => 1 - (a ^ b) },
+            'OR': { precedence: 3, associativity: 'left', apply: (a, b) => a | b },
+            'NOR': { precedence: 3, associativity: 'left', apply: (a, b) => 1 - (a | b) },
+            'IMPLIES': { precedence: 2, associativity: 'right', apply: (a, b) => (1 - a) | b },
+            'IFF': { precedence: 1, associativity: 'left', apply: (a, b) => 1 - (a ^ b) }
+        };
+
+        // Characters commonly typed for an operator, with the symbol meant
+        this.lookalikes = {
+            '¬': '~', '×': '·', '∙': '·', '⋅': '·', '’': "'", '‘': "'", '`': "'", '′': "'",
+            '[': '(', ']': ')', '{': '(', '}': ')', '⊻': '⊕', '−': '~'
         };
     }
 
     /**
      * Parse expression and return standardized format
+     *
+     * Variable order (which variable is the most significant bit of the
+     * row index) comes from, in priority order:
+     *   1. a function header:     F(D,C,B,A) = A'B + C
+     *   2. options.variables:     ['D', 'C', 'B', 'A']
+     *   3. alphabetical order of the variables used
+     * A declared order may list variables the expression does not use.
+     *
      * @param {string} expression - Boolean expression
-     * @returns {Object} - Parsed expression data
+     * @param {Object} options - {strict: true} for multi-character names,
+     *                           {variables: [...]} for an explicit variable order
+     * @returns {Object} - Parsed expression data; when invalid,
+     *                     {valid: false, error, code, position, length, suggestion}
+     *                     where suggestion is {description, expression} or null
      */
-    parse(expression) {
+    parse(expression, options = {}) {
         try {
             // Remove whitespace
             let cleaned = expression.replace(/\s+/g, '');
 
-            // Extract variables (A-Z, a-z)
-            const variables = this.extractVariables(cleaned);
+            const header = this.parseHeader(expression);
+            const declared = header ? header.variables :
+                (options.variables && options.variables.length > 0 ? options.variables : null);
+            if (!header && declared) {
+                this.checkVariableList(declared, 'variable order');
+            }
+
+            // Minterm / maxterm lists (Σm(...), ΠM(...)) describe the table directly
+            const spec = this.parseMintermList(expression, declared);
+            if (spec) {
+                return {
+                    original: expression,
+                    cleaned: cleaned,
+                    name: spec.name,
+                    variables: spec.variables,
+                    spec: spec,
+                    valid: true
+                };
+            }
+
+            // Blank out the header so token positions still match the input
+            const source = header ? ' '.repeat(header.length) + expression.slice(header.length) : expression;
+
+            // Build the expression tree
+            const tokens = this.tokenize(source, options);
+            const tree = this.buildTree(tokens);
+            const used = this.collectVariables(tree);
 
-            // Convert to evaluable format
-            const evaluable = this.toEvaluableFormat(cleaned);
+            let variables = used.sort();
+            if (declared) {
+                const undeclared = tokens.find(t => t.type === 'variable' && !declared.includes(t.value));
+                if (undeclared !== undefined) {
+                    const where = header ? `${header.name}(${declared.join(',')})` : 'the variable order';
+                    throw new ParseError('UNDECLARED_VARIABLE',
+                        `Variable ${undeclared.value} is not declared in ${where}`,
+                        undeclared.position, undeclared.text.length);
+                }
+                variables = [...declared];
+            }
 
             return {
                 original: expression,
                 cleaned: cleaned,
-                variables: variables.sort(),
-                evaluable: evaluable,
+                name: header ? header.name : null,
+                variables: variables,
+                tree: tree,
+                evaluable: this.render(tree),
                 valid: true
             };
         } catch (error) {
+            const code = error.code || 'INVALID_EXPRESSION';
+            const position = error.position !== undefined ? error.position : null;
+            const length = error.length !== undefined ? error.length : 0;
             return {
                 original: expression,
                 valid: false,
-                error: error.message
+                error: error.message,
+                code: code,
+                position: position,
+                length: length,
+                suggestion: this.suggestFix(expression, code, position, length)
             };
         }
     }
 
     /**
-     * Extract unique variables from expression
-     * @param {string} expression - Cleaned expression
-     * @returns {Array} - Array of variable names
+     * Parse several named equations over a shared variable set:
+     *   F = A'B + C; G = A ^ B ^ C
+     *
+     * Equations are separated by ';' or newlines. Each is named, either
+     * plainly (F = ...) or with a header (G(A,B,C) = Σm(1,2)); a single
+     * equation may also be a bare expression, which is parsed exactly as
+     * parse() would. All equations share the union of their variables:
+     * options.variables if given, else the header lists in the order they
+     * appear followed by the remaining variables alphabetically. Minterm
+     * lists are renumbered to that order.
+     *
+     * @param {string} text - One or more equations
+     * @param {Object} options - Same options as parse()
+     * @returns {Object} - {valid: true, variables, equations: [{name, parsed}]}; when
+     *                     invalid, the same error fields as parse(), with
+     *                     position counted from the start of text
      */
-    extractVariables(expression) {
-        const varPattern = /[A-Za-z]/g;
-        const matches = expression.match(varPattern) || [];
-        return [...new Set(matches)].sort();
+    parseSystem(text, options = {}) {
+        const segments = [];
+        const separator = /[^;\n]+/g;
+        let match;
+        while ((match = separator.exec(text)) !== null) {
+            if (match[0].trim() !== '') segments.push({ source: match[0], offset: match.index });
+        }
+
+        const invalid = (error, segment) => {
+            const position = error.position !== null && error.position !== undefined
+                ? segment.offset + error.position : null;
+            const suggestion = error.position === null || error.position === undefined ? null :
+                this.suggestFix(segment.source, error.code, error.position, error.length);
+            if (suggestion) {
+                // Keep the spacing that followed the previous separator
+                const lead = segment.source.match(/^\s*/)[0];
+                suggestion.expression = text.slice(0, segment.offset) + lead + suggestion.expression.trimStart() +
+                    text.slice(segment.offset + segment.source.length);
+            }
+            // Positions in the message count from the start of the equation too
+            const message = (error.message || error.error)
+                .replace(/at position (\d+)/g, (_, n) => `at position ${segment.offset + Number(n)}`);
+            return {
+                original: text,
+                valid: false,
+                error: message,
+                code: error.code || 'INVALID_EXPRESSION',
+                position: position,
+                length: error.length !== undefined ? error.length : 0,
+                suggestion: suggestion
+            };
+        };
+
+        if (segments.length === 0) {
+            return invalid(new ParseError('EMPTY_EXPRESSION', 'Expression is empty'), { source: text, offset: 0 });
+        }
+
+        const equations = [];
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            const name = segment.source.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*(\([^)]*\))?\s*=(?!>)/);
+
+            let parsed;
+            if (name && name[2]) {
+                parsed = this.parse(segment.source, options); // The header stays for parse() to read
+            } else if (name) {
+                parsed = this.parse(' '.repeat(name[0].length) + segment.source.slice(name[0].length), options);
+                if (parsed.valid) parsed = { ...parsed, original: segment.source.trim(), name: name[1] };
+            } else if (segments.length === 1) {
+                parsed = this.parse(segment.source, options);
+            } else {
+                const start = segment.source.search(/\S/);
+                return invalid(new ParseError('INVALID_DECLARATION',
+                    `Equation ${i + 1} needs a name, as in ${String.fromCharCode(70 + i)} = ...`,
+                    start, segment.source.trim().length), segment);
+            }
+
+            if (!parsed.valid) return invalid(parsed, segment);
+
+            if (equations.some(equation => equation.name === parsed.name)) {
+                const start = segment.source.indexOf(parsed.name);
+                return invalid(new ParseError('INVALID_DECLARATION',
+                    `${parsed.name} is defined more than once`, start, parsed.name.length), segment);
+            }
+            equations.push({ name: parsed.name, parsed: parsed, header: Boolean(name && name[2]) });
+        }
+
+        let variables;
+        if (options.variables && options.variables.length > 0) {
+            variables = [...options.variables];
+        } else {
+            const declared = [];
+            equations.filter(e => e.header).forEach(e => {
+                e.parsed.variables.forEach(v => { if (!declared.includes(v)) declared.push(v); });
+            });
+            const rest = new Set();
+            equations.forEach(e => e.parsed.variables.forEach(v => { if (!declared.includes(v)) rest.add(v); }));
+            variables = [...declared, ...[...rest].sort()];
+        }
+
+        return {
+            original: text,
+            valid: true,
+            variables: variables,
+            equations: equations.map(({ name, parsed }) => ({
+                name: name,
+                parsed: this.widen(parsed, variables)
+            }))
+        };
     }
 
     /**
-     * Convert Boolean expression to JavaScript evaluable format
-     * @param {string} expression - Cleaned expression
-     * @returns {string} - JavaScript evaluable expression
+     * Re-express a parsed function over a larger, reordered variable list.
+     * Expression trees refer to variables by name, so only the list
+     * changes; minterm lists are renumbered row by row.
+     * @param {Object} parsed - Result of parse()
+     * @param {Array} variables - Variables, a superset of parsed.variables
+     * @returns {Object} - Parsed expression over variables
      */
-    toEvaluableFormat(expression) {
-        let result = expression;
+    widen(parsed, variables) {
+        if (parsed.variables.join(',') === variables.join(',')) return parsed;
+        if (!parsed.spec) return { ...parsed, variables: [...variables] };
 
-        // Replace NOT operators with !
-        this.operators.NOT.forEach(op => {
-            if (op !== '!') {
-                // Handle postfix notation (A')
-                result = result.replace(new RegExp(`([A-Za-z])\\${op}`, 'g'), '!$1');
-                // Handle prefix notation (~A)
-                result = result.replace(new RegExp(`\\${op}([A-Za-z])`, 'g'), '!$1');
+        const { spec } = parsed;
+        const numRows = Math.pow(2, variables.length);
+
+        // Row of the original table that each row of the wider one projects onto
+        const bits = spec.variables.map(v => variables.length - 1 - variables.indexOf(v));
+        const project = row => bits.reduce((index, bit) => index * 2 + ((row >> bit) & 1), 0);
+        const select = list => {
+            const members = new Set(list);
+            return Array.from({ length: numRows }, (_, row) => row).filter(row => members.has(project(row)));
+        };
+
+        const widened = {
+            ...spec,
+            variables: [...variables],
+            minterms: select(spec.minterms),
+            maxterms: select(spec.maxterms),
+            dontCares: select(spec.dontCares)
+        };
+        return { ...parsed, variables: [...variables], spec: widened };
+    }
+
+    /**
+     * Propose a corrected expression for errors with an obvious fix
+     * @param {string} expression - Input text
+     * @param {string} code - Error code
+     * @param {number|null} position - Offset of the offending text
+     * @param {number} length - Length of the offending text
+     * @returns {Object|null} - {description, expression} or null
+     */
+    suggestFix(expression, code, position, length) {
+        if (position === null) return null;
+
+        const span = expression.substr(position, length);
+        const without = (expression.slice(0, position) + expression.slice(position + length))
+            .replace(/\s{2,}/g, ' ').trim();
+
+        switch (code) {
+            case 'UNBALANCED_PAREN':
+                return span === '('
+                    ? { description: "Add the missing ')'", expression: expression.trimEnd() + ')' }
+                    : { description: "Remove the unmatched ')'", expression: without };
+            case 'DANGLING_OPERATOR':
+            case 'EMPTY_OPERAND':
+                return without === '' ? null : { description: `Remove '${span}'`, expression: without };
+            case 'UNKNOWN_SYMBOL': {
+                const replacement = this.lookalikes[span];
+                if (!replacement) return null;
+                return {
+                    description: `Replace '${span}' with '${replacement}'`,
+                    expression: expression.split(span).join(replacement)
+                };
             }
-        });
+            default:
+                return null;
+        }
+    }
 
-        // Replace OR operators with ||
-        this.operators.OR.forEach(op => {
-            result = result.replace(new RegExp(`\\${op}`, 'g'), '||');
-        });
+    /**
+     * Parse a function header such as "F(A,B,C) =" at the start of the input
+     * @param {string} expression - Input text
+     * @returns {Object|null} - {name, variables, length} where length is the
+     *                          header's length in characters, or null
+     */
+    parseHeader(expression) {
+        const match = expression.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*\(([^)]*)\)\s*=(?!>)/);
+        if (!match) return null;
+
+        const variables = match[2].split(',').map(v => v.trim()).filter(v => v);
+        this.checkVariableList(variables, `${match[1]}(...)`);
+
+        return { name: match[1], variables: variables, length: match[0].length };
+    }
 
-        // Replace AND operators with &&
-        this.operators.AND.forEach(op => {
-            if (op !== '&') {
-                result = result.replace(new RegExp(`\\${op}`, 'g'), '&&');
+    /**
+     * Check a declared variable list for emptiness, bad names and duplicates
+     * @param {Array} variables - Declared variable names
+     * @param {string} where - Where the list was declared, for messages
+     */
+    checkVariableList(variables, where) {
+        if (variables.length === 0) {
+            throw new ParseError('INVALID_DECLARATION', `No variables declared in ${where}`);
+        }
+
+        const invalid = variables.find(v => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(v));
+        if (invalid !== undefined) {
+            throw new ParseError('INVALID_DECLARATION', `Invalid variable name '${invalid}' in ${where}`);
+        }
+
+        const duplicate = variables.find((v, i) => variables.indexOf(v) !== i);
+        if (duplicate !== undefined) {
+            throw new ParseError('INVALID_DECLARATION', `Duplicate variable ${duplicate} in ${where}`);
+        }
+    }
+
+    /**
+     * Parse sum-of-minterms or product-of-maxterms notation:
+     *   F(A,B,C,D) = Σm(1,3,5,7) + d(2,6)
+     *   ΠM(0,4,8)
+     *   F(A,B,C) = sum m(1,2) + d(7)    (ASCII: sum m / prod M)
+     * Without a header or a given variable list the variables are A, B, C, ...
+     * as many as the largest index needs.
+     * @param {string} expression - Input text
+     * @param {Array} variables - Variable order to use when there is no header (optional)
+     * @returns {Object|null} - {name, variables, form, minterms, maxterms, dontCares}, or null
+     *                          if the text is not in this notation
+     */
+    parseMintermList(expression, variables = null) {
+        const header = this.parseHeader(expression);
+        const body = header ? expression.slice(header.length) : expression;
+
+        const match = body.match(
+            /^\s*(Σ|∑|sum|Π|∏|prod)\s*m?\s*\(([^)]*)\)\s*(?:[+·*&,]?\s*d\s*\(([^)]*)\))?\s*$/i
+        );
+        if (!match) return null;
+
+        const form = /^(Σ|∑|sum)$/i.test(match[1]) ? 'sum' : 'product';
+        const listed = this.parseIndexList(match[2]);
+        const dontCares = match[3] !== undefined ? this.parseIndexList(match[3]) : [];
+
+        if (header) {
+            variables = header.variables;
+        } else if (!variables) {
+            const largest = Math.max(0, ...listed, ...dontCares);
+            const count = Math.max(1, largest.toString(2).length);
+            variables = Array.from({ length: count }, (_, i) => String.fromCharCode(65 + i));
+        }
+
+        const numRows = Math.pow(2, variables.length);
+        [...listed, ...dontCares].forEach(index => {
+            if (index >= numRows) {
+                throw new ParseError('INVALID_DECLARATION', `Index ${index} is out of range for ${variables.length} variables`);
             }
         });
 
-        // Handle implicit AND (AB -> A&&B)
-        result = result.replace(/([A-Za-z!)\]])([A-Za-z(!])/g, '$1&&$2');
+        const overlap = listed.find(index => dontCares.includes(index));
+        if (overlap !== undefined) {
+            throw new ParseError('INVALID_DECLARATION', `Index ${overlap} is listed both as a term and as a don't care`);
+        }
+
+        // The unlisted rows are the complement: maxterms for Σ, minterms for Π
+        const rest = Array.from({ length: numRows }, (_, i) => i)
+            .filter(i => !listed.includes(i) && !dontCares.includes(i));
+
+        return {
+            name: header ? header.name : null,
+            variables: [...variables],
+            form: form,
+            minterms: form === 'sum' ? listed : rest,
+            maxterms: form === 'sum' ? rest : listed,
+            dontCares: dontCares
+        };
+    }
+
+    /**
+     * Parse a comma-separated list of row indices ("1, 3, 5")
+     * @param {string} text - List text
+     * @returns {Array} - Sorted unique indices
+     */
+    parseIndexList(text) {
+        if (text.trim() === '') return [];
 
-        // Replace XOR operators with !=
-        this.operators.XOR.forEach(op => {
-            result = result.replace(new RegExp(`\\${op}`, 'g'), '!=');
+        const indices = text.split(',').map(item => {
+            const value = item.trim();
+            if (!/^\d+$/.test(value)) {
+                throw new ParseError('INVALID_DECLARATION', `Invalid index '${value}' in term list`);
+            }
+            return parseInt(value, 10);
         });
 
-        return result;
+        return [...new Set(indices)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Split an expression into tokens
+     * @param {string} expression - Boolean expression
+     * @param {Object} options - {strict: true} for multi-character names
+     * @returns {Array} - Tokens {type, value, text, position}; text is the
+     *                   source as written (+ for an OR whose value is 'OR')
+     */
+    tokenize(expression, options = {}) {
+        const identifier = options.strict ? this.identifierPatterns.strict : this.identifierPatterns.default;
+        const symbols = this.getOperatorSymbols();
+        const tokens = [];
+        let i = 0;
+
+        while (i < expression.length) {
+            const char = expression[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Word operators only count as whole words (ANDY is not AND + Y)
+            const word = /[A-Za-z0-9_]/.test(expression[i - 1] || '') ? null :
+                (expression.slice(i).match(/^[A-Z]+(?![A-Za-z0-9_])/) || [])[0];
+            if (word && symbols.some(entry => entry.symbol === word)) {
+                tokens.push(this.createOperatorToken(word, i));
+                i += word.length;
+                continue;
+            }
+
+            const name = expression.slice(i).match(identifier);
+            if (name) {
+                tokens.push({ type: 'variable', value: name[0], text: name[0], position: i });
+                i += name[0].length;
+                continue;
+            }
+
+            if (char === '0' || char === '1') {
+                tokens.push({ type: 'constant', value: Number(char), text: char, position: i });
+                i++;
+                continue;
+            }
+
+            if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'lparen' : 'rparen', value: char, text: char, position: i });
+                i++;
+                continue;
+            }
+
+            // Longest symbol first, so <=> wins over =>
+            const match = symbols.find(entry => !/^[A-Z]+$/.test(entry.symbol) &&
+                expression.startsWith(entry.symbol, i));
+            if (!match) {
+                const message = /\d/.test(char)
+                    ? `Unexpected '${char}' at position ${i}: the only constants are 0 and 1`
+                    : `Unexpected character '${char}' at position ${i}`;
+                throw new ParseError('UNKNOWN_SYMBOL', message, i, 1);
+            }
+            tokens.push(this.createOperatorToken(match.symbol, i));
+            i += match.symbol.length;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * List every operator symbol with its operator name, longest symbol first
+     * @returns {Array} - Entries {symbol, name}
+     */
+    getOperatorSymbols() {
+        return Object.entries(this.operators)
+            .flatMap(([name, list]) => list.map(symbol => ({ symbol, name })))
+            .sort((a, b) => b.symbol.length - a.symbol.length);
+    }
+
+    /**
+     * Create the token for an operator symbol
+     * @param {string} symbol - Operator symbol as written
+     * @param {number} position - Offset in the expression
+     * @returns {Object} - Token
+     */
+    createOperatorToken(symbol, position) {
+        if (symbol === "'") {
+            return { type: 'postfix-not', value: symbol, text: symbol, position };
+        }
+        if (this.operators.NOT.includes(symbol)) {
+            return { type: 'not', value: symbol, text: symbol, position };
+        }
+        return { type: 'operator', value: this.getOperatorName(symbol), text: symbol, position };
+    }
+
+    /**
+     * Look up the binary operator name for a symbol
+     * @param {string} symbol - Operator symbol
+     * @returns {string|null} - Operator name (AND, NAND, OR, ...) or null
+     */
+    getOperatorName(symbol) {
+        return Object.keys(this.binaryOperators)
+            .find(name => this.operators[name].includes(symbol)) || null;
+    }
+
+    /**
+     * Build an expression tree from tokens (recursive descent with precedence climbing)
+     *
+     * Tree nodes:
+     *   {type: 'variable', name}
+     *   {type: 'constant', value}
+     *   {type: 'not', operand}
+     *   {type: 'binary', operator, left, right}
+     *
+     * @param {Array} tokens - Tokens from tokenize()
+     * @returns {Object} - Root node of the expression tree
+     */
+    buildTree(tokens) {
+        if (tokens.length === 0) {
+            throw new ParseError('EMPTY_EXPRESSION', 'Empty expression', 0, 0);
+        }
+
+        const state = { tokens, index: 0 };
+        const tree = this.parseBinary(state, 1);
+
+        // Operands and operators are all consumed above, so only a ')' can be left
+        if (state.index < tokens.length) {
+            throw this.unexpectedToken(state);
+        }
+
+        return tree;
+    }
+
+    /**
+     * Parse binary operators with at least the given precedence
+     */
+    parseBinary(state, minPrecedence) {
+        let left = this.parseUnary(state);
+
+        while (state.index < state.tokens.length) {
+            const token = state.tokens[state.index];
+            let operator;
+
+            if (token.type === 'operator') {
+                operator = token.value;
+            } else if (this.startsOperand(token)) {
+                // Juxtaposition (AB, A(B+C)) is an implicit AND
+                operator = 'AND';
+            } else {
+                break;
+            }
+
+            const { precedence, associativity } = this.binaryOperators[operator];
+            if (precedence < minPrecedence) break;
+
+            if (token.type === 'operator') state.index++;
+
+            const nextMin = associativity === 'left' ? precedence + 1 : precedence;
+            const right = this.parseBinary(state, nextMin);
+            left = { type: 'binary', operator, left, right };
+        }
+
+        return left;
+    }
+
+    /**
+     * Parse prefix NOT, an operand and any postfix complements
+     */
+    parseUnary(state) {
+        const token = state.tokens[state.index];
+
+        if (!token) {
+            throw this.unexpectedToken(state);
+        }
+
+        if (token.type === 'not') {
+            state.index++;
+            return { type: 'not', operand: this.parseUnary(state) };
+        }
+
+        let node = this.parsePrimary(state);
+
+        while (state.index < state.tokens.length && state.tokens[state.index].type === 'postfix-not') {
+            state.index++;
+            node = { type: 'not', operand: node };
+        }
+
+        return node;
+    }
+
+    /**
+     * Parse a variable, a constant or a parenthesized subexpression
+     */
+    parsePrimary(state) {
+        const token = state.tokens[state.index];
+
+        if (token.type === 'variable') {
+            state.index++;
+            return { type: 'variable', name: token.value };
+        }
+
+        if (token.type === 'constant') {
+            state.index++;
+            return { type: 'constant', value: token.value };
+        }
+
+        if (token.type === 'lparen') {
+            state.index++;
+            const inner = this.parseBinary(state, 1);
+            const closing = state.tokens[state.index];
+            if (!closing || closing.type !== 'rparen') {
+                throw new ParseError('UNBALANCED_PAREN',
+                    `Missing ')' for '(' at position ${token.position}`, token.position, 1);
+            }
+            state.index++;
+            return inner;
+        }
+
+        throw this.unexpectedToken(state);
+    }
+
+    /**
+     * Describe a token (or the end of input) found where an operand was expected
+     * @param {Object} state - Parser state {tokens, index}
+     * @returns {ParseError} - Error to throw
+     */
+    unexpectedToken(state) {
+        const token = state.tokens[state.index];
+        const previous = state.tokens[state.index - 1];
+        const afterOperator = previous && (previous.type === 'operator' || previous.type === 'not');
+
+        // End of input or ')' right after an operator: the operator lacks its right operand
+        if ((!token || token.type === 'rparen') && afterOperator) {
+            return new ParseError('DANGLING_OPERATOR',
+                `Operator '${previous.text}' at position ${previous.position} has no right operand`,
+                previous.position, previous.text.length);
+        }
+
+        if (!token) {
+            // Only reachable right after '('
+            return new ParseError('UNBALANCED_PAREN',
+                `Missing ')' for '(' at position ${previous.position}`, previous.position, 1);
+        }
+
+        if (token.type === 'rparen') {
+            if (previous && previous.type === 'lparen') {
+                return new ParseError('EMPTY_OPERAND',
+                    `Empty parentheses at position ${previous.position}`,
+                    previous.position, token.position - previous.position + 1);
+            }
+            return new ParseError('UNBALANCED_PAREN',
+                `Unmatched ')' at position ${token.position}`, token.position, 1);
+        }
+
+        if (afterOperator) {
+            return new ParseError('EMPTY_OPERAND',
+                `Missing operand between '${previous.text}' and '${token.text}' at position ${token.position}`,
+                token.position, token.text.length);
+        }
+
+        const message = token.type === 'postfix-not'
+            ? `Complement ' at position ${token.position} has nothing before it to complement`
+            : `Operator '${token.text}' at position ${token.position} has no left operand`;
+        return new ParseError('DANGLING_OPERATOR', message, token.position, token.text.length);
+    }
+
+    /**
+     * Check whether a token can begin an operand
+     */
+    startsOperand(token) {
+        return ['variable', 'constant', 'lparen', 'not'].includes(token.type);
+    }
+
+    /**
+     * Collect unique variable names from an expression tree, in order of appearance
+     * @param {Object} node - Expression tree node
+     * @returns {Array} - Array of variable names
+     */
+    collectVariables(node, found = []) {
+        if (node.type === 'variable') {
+            if (!found.includes(node.name)) found.push(node.name);
+        } else if (node.type === 'not') {
+            this.collectVariables(node.operand, found);
+        } else if (node.type === 'binary') {
+            this.collectVariables(node.left, found);
+            this.collectVariables(node.right, found);
+        }
+        return found;
+    }
+
+    /**
+     * Extract unique variables from expression
+     * @param {string} expression - Cleaned expression
+     * @param {Object} options - {strict: true} for multi-character names
+     * @returns {Array} - Array of variable names
+     */
+    extractVariables(expression, options = {}) {
+        const names = this.tokenize(expression, options)
+            .filter(token => token.type === 'variable')
+            .map(token => token.value);
+        return [...new Set(names)].sort();
+    }
+
+    /**
+     * Convert Boolean expression to JavaScript-style operator format
+     * (!, &&, ||, ^; ↑ ↓ ⊙ => <=> for the rest) with explicit parentheses
+     * where precedence requires them
+     * @param {string} expression - Boolean expression
+     * @param {Object} options - {strict: true} for multi-character names
+     * @returns {string} - Normalized expression
+     */
+    toEvaluableFormat(expression, options = {}) {
+        return this.render(this.buildTree(this.tokenize(expression, options)));
+    }
+
+    /**
+     * Render an expression tree with JavaScript-style operators
+     * @param {Object} node - Expression tree node
+     * @returns {string} - Rendered expression
+     */
+    render(node) {
+        const symbols = {
+            'AND': '&&', 'NAND': '↑', 'OR': '||', 'NOR': '↓',
+            'XOR': '^', 'XNOR': '⊙', 'IMPLIES': '=>', 'IFF': '<=>'
+        };
+
+        return this.printTree(node, symbols, operand => '!' + operand);
+    }
+
+    /**
+     * Pretty-print an expression tree in the tool's notation (A'B + AC)
+     * @param {Object} node - Expression tree node
+     * @returns {string} - Formatted expression
+     */
+    format(node) {
+        // Juxtaposition is only unambiguous for single-letter names
+        const names = this.collectVariables(node);
+        const symbols = {
+            'AND': this.productSeparator(names), 'NAND': ' ↑ ', 'OR': ' + ', 'NOR': ' ↓ ',
+            'XOR': ' ⊕ ', 'XNOR': ' ⊙ ', 'IMPLIES': ' → ', 'IFF': ' ↔ '
+        };
+
+        return this.printTree(node, symbols, operand => operand + "'");
+    }
+
+    /**
+     * Print an expression tree, adding parentheses only where precedence
+     * or associativity requires them
+     * @param {Object} node - Expression tree node
+     * @param {Object} symbols - Text for each binary operator name
+     * @param {Function} negate - Wraps an operand's text in a NOT
+     * @returns {string} - Printed expression
+     */
+    printTree(node, symbols, negate) {
+        const visit = (current, parentPrecedence) => {
+            if (current.type === 'variable') return current.name;
+            if (current.type === 'constant') return String(current.value);
+            if (current.type === 'not') return negate(visit(current.operand, Infinity));
+
+            const { precedence, associativity } = this.binaryOperators[current.operator];
+            const left = visit(current.left, associativity === 'left' ? precedence : precedence + 1);
+            const right = visit(current.right, associativity === 'left' ? precedence + 1 : precedence);
+
+            // A constant next to a name must not read as a subscript (A·1, not A1)
+            let symbol = symbols[current.operator];
+            if (symbol === '' && (/\d$/.test(left) || /^\d/.test(right))) symbol = '·';
+
+            const text = left + symbol + right;
+            return precedence < parentPrecedence ? `(${text})` : text;
+        };
+
+        return visit(node, 0);
     }
 
     /**
      * Evaluate expression for given variable values
-     * @param {string} evaluable - Evaluable expression
+     * @param {Object|string} expression - Expression tree, or an expression string
      * @param {Object} values - Variable values {A: 1, B: 0, ...}
      * @returns {number} - Result (0 or 1)
      */
-    evaluate(evaluable, values) {
-        let expression = evaluable;
+    evaluate(expression, values) {
+        const tree = typeof expression === 'string'
+            ? this.buildTree(this.tokenize(expression))
+            : expression;
 
-        // Replace variables with their values
-        Object.keys(values).forEach(variable => {
-            const value = values[variable];
-            expression = expression.replace(new RegExp(variable, 'g'), value);
-        });
+        return this.evaluateTree(tree, values);
+    }
 
-        try {
-            // Evaluate the expression
-            const result = eval(expression);
-            return result ? 1 : 0;
-        } catch (error) {
-            throw new Error(`Evaluation error: ${error.message}`);
+    /**
+     * Walk an expression tree and compute its value
+     * @param {Object} node - Expression tree node
+     * @param {Object} values - Variable values
+     * @returns {number} - Result (0 or 1)
+     */
+    evaluateTree(node, values) {
+        switch (node.type) {
+            case 'variable':
+                if (!(node.name in values)) {
+                    throw new Error(`Evaluation error: no value for variable ${node.name}`);
+                }
+                return values[node.name] ? 1 : 0;
+            case 'constant':
+                return node.value;
+            case 'not':
+                return this.evaluateTree(node.operand, values) ? 0 : 1;
+            case 'binary':
+                return this.binaryOperators[node.operator].apply(
+                    this.evaluateTree(node.left, values),
+                    this.evaluateTree(node.right, values)
+                ) ? 1 : 0;
+            default:
+                throw new Error(`Evaluation error: unknown node type ${node.type}`);
         }
     }
 
+    /**
+     * Describe what is wrong with an expression
+     * @param {string} expression - Expression to check
+     * @param {Object} options - Same options as parse()
+     * @returns {Object|null} - {code, message, position, length, suggestion}, or null if valid
+     */
+    diagnose(expression, options = {}) {
+        return this.describeError(this.parse(expression, options));
+    }
+
+    /**
+     * Describe what is wrong with a set of equations, as diagnose() does
+     * for one expression
+     * @param {string} text - Equations, as for parseSystem()
+     * @param {Object} options - Same options as parse()
+     * @returns {Object|null} - {code, message, position, length, suggestion}, or null if valid
+     */
+    diagnoseSystem(text, options = {}) {
+        return this.describeError(this.parseSystem(text, options));
+    }
+
+    describeError(parsed) {
+        if (parsed.valid) return null;
+
+        return {
+            code: parsed.code,
+            message: parsed.error,
+            position: parsed.position,
+            length: parsed.length,
+            suggestion: parsed.suggestion
+        };
+    }
+
     /**
      * Validate expression syntax
      * @param {string} expression - Expression to validate
+     * @param {Object} options - Same options as parse()
      * @returns {boolean} - True if valid
      */
-    validate(expression) {
-        try {
-            // Check for balanced parentheses
-            let depth = 0;
-            for (let char of expression) {
-                if (char === '(') depth++;
-                if (char === ')') depth--;
-                if (depth < 0) return false;
-            }
-            if (depth !== 0) return false;
-
-            // Check for valid characters
-            const validChars = /^[A-Za-z0-1()\s!'*+·.&|^~∧∨⊕]+$/;
-            if (!validChars.test(expression)) return false;
+    validate(expression, options = {}) {
+        return this.diagnose(expression, options) === null;
+    }
 
-            return true;
-        } catch {
-            return false;
-        }
+    /**
+     * Separator for literals in a product term: juxtaposition when every
+     * name is a single letter (A'BC), otherwise an explicit AND (sel·en')
+     * @param {Array} variables - Variable names
+     * @returns {string} - '' or '·'
+     */
+    productSeparator(variables) {
+        return variables.every(v => v.length === 1) ? '' : '·';
     }
 
     /**
@@ -162,7 +951,7 @@ class BooleanParser {
             const literals = binary.split('').map((bit, idx) => {
                 return bit === '1' ? variables[idx] : variables[idx] + "'";
             });
-            return literals.join('');
+            return literals.join(this.productSeparator(variables));
         });
 
         return terms.join(' + ');
@@ -193,4 +982,5 @@ class BooleanParser {
 // Make available globally
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = BooleanParser;
+    module.exports.ParseError = ParseError;
 }
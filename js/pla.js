@@ -0,0 +1,248 @@
+/**
+ * PLA Format
+ * Reads and writes Berkeley (Espresso) PLA files
+ *
+ *   .i 3              number of inputs
+ *   .o 2              number of outputs
+ *   .ilb A B C        input names (optional)
+ *   .ob F G           output names (optional)
+ *   .type fd          which sets the cubes give: f (on), d (don't care), r (off)
+ *   .p 2              number of cubes (optional)
+ *   1-0 10            input part (0, 1, -) and output part (1, 0, -, ~)
+ *   .e
+ */
+
+// Under Node the truth table generator is loaded here; in the browser it is a global
+if (typeof module !== 'undefined' && module.exports && typeof TruthTableGenerator === 'undefined') {
+    globalThis.TruthTableGenerator = require('./truthTable.js');
+}
+
+class PLAFormat {
+    constructor() {
+        this.truthTableGen = new TruthTableGenerator();
+        this.types = ['f', 'fd', 'fr', 'fdr', 'r', 'd'];
+    }
+
+    /**
+     * Parse a PLA file into one column of row values per output
+     *
+     * Output characters by type: '1' puts the cube in the on-set (f types)
+     * or the off-set (type r); '0' puts it in the off-set for fr/fdr;
+     * '-' or '2' marks don't cares for d types; '~' means nothing. Rows
+     * no cube covers are off for f and fd, don't care for fr and fdr,
+     * and on for r. Where on and don't care overlap, don't care wins.
+     *
+     * @param {string} text - PLA file contents
+     * @returns {Object} - {variables, outputNames, outputs, type} where outputs
+     *                     holds one array of 0/1/'X' per output, indexed by row
+     */
+    parse(text) {
+        let numInputs = null;
+        let numOutputs = null;
+        let variables = null;
+        let outputNames = null;
+        let declaredCubes = null;
+        let type = 'fd';
+        const cubes = [];
+
+        text.split(/\r?\n/).forEach((raw, i) => {
+            const line = raw.replace(/#.*$/, '').trim();
+            const number = i + 1;
+            if (line === '') return;
+
+            if (line.startsWith('.')) {
+                const [keyword, ...args] = line.split(/\s+/);
+                switch (keyword) {
+                    case '.i':
+                        numInputs = this.parseCount(args[0], keyword, number);
+                        break;
+                    case '.o':
+                        numOutputs = this.parseCount(args[0], keyword, number);
+                        break;
+                    case '.ilb':
+                        variables = args;
+                        break;
+                    case '.ob':
+                        outputNames = args;
+                        break;
+                    case '.p':
+                        declaredCubes = this.parseCount(args[0], keyword, number);
+                        break;
+                    case '.type':
+                        if (!this.types.includes(args[0])) {
+                            throw new Error(`Line ${number}: unknown .type '${args[0]}'`);
+                        }
+                        type = args[0];
+                        break;
+                    case '.e':
+                    case '.end':
+                        break;
+                    default:
+                        throw new Error(`Line ${number}: unsupported keyword ${keyword}`);
+                }
+                return;
+            }
+
+            if (numInputs === null || numOutputs === null) {
+                throw new Error(`Line ${number}: cube before .i and .o`);
+            }
+
+            const cube = line.replace(/\s+/g, '');
+            if (cube.length !== numInputs + numOutputs) {
+                throw new Error(`Line ${number}: expected ${numInputs} inputs and ${numOutputs} outputs, got '${line}'`);
+            }
+
+            const input = cube.slice(0, numInputs).replace(/2/g, '-');
+            const output = cube.slice(numInputs);
+            if (!/^[01-]*$/.test(input)) {
+                throw new Error(`Line ${number}: input part '${input}' may only use 0, 1 and -`);
+            }
+            if (!/^[01\-2~]*$/.test(output)) {
+                throw new Error(`Line ${number}: output part '${output}' may only use 0, 1, -, 2 and ~`);
+            }
+            cubes.push({ input, output, number });
+        });
+
+        if (numInputs === null || numOutputs === null) {
+            throw new Error('PLA file needs .i and .o');
+        }
+        if (declaredCubes !== null && declaredCubes !== cubes.length) {
+            throw new Error(`.p declares ${declaredCubes} cubes but the file has ${cubes.length}`);
+        }
+        this.truthTableGen.checkSize(numInputs);
+
+        variables = this.checkNames(variables, numInputs, '.ilb',
+            i => String.fromCharCode(65 + i)); // A, B, C...
+        outputNames = this.checkNames(outputNames, numOutputs, '.ob',
+            i => String.fromCharCode(70 + i)); // F, G, H...
+
+        return {
+            variables: variables,
+            outputNames: outputNames,
+            outputs: this.expandCubes(cubes, numInputs, numOutputs, type),
+            type: type
+        };
+    }
+
+    /**
+     * Expand cubes into per-output row values
+     */
+    expandCubes(cubes, numInputs, numOutputs, type) {
+        const numRows = Math.pow(2, numInputs);
+        const sets = Array.from({ length: numOutputs }, () => ({
+            on: new Set(),
+            off: new Set(),
+            dc: new Set()
+        }));
+
+        cubes.forEach(({ input, output }) => {
+            const rows = this.cubeRows(input);
+            output.split('').forEach((char, o) => {
+                let target = null;
+                if (char === '1') {
+                    target = type === 'r' ? sets[o].off : sets[o].on;
+                } else if (char === '0' && type.includes('r') && type !== 'r') {
+                    target = sets[o].off;
+                } else if ((char === '-' || char === '2') && type.includes('d')) {
+                    target = sets[o].dc;
+                }
+                if (target) rows.forEach(row => target.add(row));
+            });
+        });
+
+        // Rows no cube mentions
+        const unlisted = type === 'r' ? 1 : (type === 'fr' || type === 'fdr' ? 'X' : 0);
+
+        return sets.map((set, o) => Array.from({ length: numRows }, (_, row) => {
+            if (set.on.has(row) && set.off.has(row)) {
+                throw new Error(`Output ${o + 1} is both on and off for input ${row.toString(2).padStart(numInputs, '0')}`);
+            }
+            if (set.dc.has(row)) return 'X';
+            if (set.on.has(row)) return 1;
+            if (set.off.has(row)) return 0;
+            return unlisted;
+        }));
+    }
+
+    /**
+     * List the row indices a cube such as '1-0' covers
+     * @param {string} cube - Input part of a cube
+     * @returns {Array} - Row indices
+     */
+    cubeRows(cube) {
+        let rows = [0];
+        for (const char of cube) {
+            rows = rows.flatMap(row => {
+                if (char === '-') return [row * 2, row * 2 + 1];
+                return [row * 2 + Number(char)];
+            });
+        }
+        return rows;
+    }
+
+    parseCount(value, keyword, number) {
+        if (!/^\d+$/.test(value || '')) {
+            throw new Error(`Line ${number}: ${keyword} needs a number`);
+        }
+        return parseInt(value, 10);
+    }
+
+    /**
+     * Check declared names against the count, or make default names
+     */
+    checkNames(names, count, keyword, defaultName) {
+        if (names === null) {
+            return Array.from({ length: count }, (_, i) => defaultName(i));
+        }
+        if (names.length !== count) {
+            throw new Error(`${keyword} lists ${names.length} names for ${count} columns`);
+        }
+        return names;
+    }
+
+    /**
+     * Write minimized covers as a PLA file
+     *
+     * Each output contributes the prime implicants of its cover; a cube
+     * shared by several outputs is written once with a 1 for each.
+     *
+     * @param {Array} outputs - [{name, simplified}] with simplified from KMapSimplifier
+     * @param {Array} variables - Input names
+     * @returns {string} - PLA text
+     */
+    export(outputs, variables) {
+        const cubes = new Map();
+
+        outputs.forEach(({ simplified }, o) => {
+            // A constant-1 output has no implicants; it is the all-don't-care cube
+            const cover = simplified.sop === '1'
+                ? ['-'.repeat(variables.length)]
+                : simplified.essentialPrimeImplicants.map(pi => pi.binary);
+
+            cover.forEach(cube => {
+                if (!cubes.has(cube)) cubes.set(cube, new Array(outputs.length).fill('0'));
+                cubes.get(cube)[o] = '1';
+            });
+        });
+
+        // PLA names are whitespace-separated
+        const names = list => list.map(name => name.replace(/\s+/g, '_')).join(' ');
+
+        let pla = `.i ${variables.length}\n`;
+        pla += `.o ${outputs.length}\n`;
+        pla += `.ilb ${names(variables)}\n`;
+        pla += `.ob ${names(outputs.map(output => output.name))}\n`;
+        pla += `.p ${cubes.size}\n`;
+        cubes.forEach((outputBits, cube) => {
+            pla += `${cube} ${outputBits.join('')}\n`;
+        });
+        pla += '.e\n';
+
+        return pla;
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLAFormat;
+}
@@ -30,7 +30,7 @@ class SchematicGenerator {
         }
 
         // Parse SOP into product terms
-        const productTerms = this.parseSOPTerms(sopExpression);
+        const productTerms = this.parseSOPTerms(sopExpression, variables);
 
         if (productTerms.length === 0) {
             return this.generateConstantCircuit(0, variables, outputName);
@@ -64,9 +64,13 @@ class SchematicGenerator {
     /**
      * Parse SOP expression into product terms
      * @param {string} sop - SOP expression
+     * @param {Array} variables - Known variable names; matched longest-first so
+     *                            multi-character names (sel, A1, x_0) stay whole
      * @returns {Array} - Array of product term objects
      */
-    parseSOPTerms(sop) {
+    parseSOPTerms(sop, variables = []) {
+        const names = [...variables].sort((a, b) => b.length - a.length);
+
         // Split by + (OR)
         const terms = sop.split('+').map(t => t.trim());
 
@@ -75,16 +79,18 @@ class SchematicGenerator {
             let i = 0;
 
             while (i < term.length) {
-                const char = term[i];
+                const rest = term.slice(i);
+                const known = names.find(name => rest.startsWith(name));
+                const match = known || (rest.match(/^[A-Za-z](?:_?\d+)?/) || [])[0];
 
-                if (/[A-Z]/i.test(char)) {
+                if (match) {
+                    i += match.length;
                     // Check if followed by '
-                    if (i + 1 < term.length && term[i + 1] === "'") {
-                        literals.push({ variable: char, inverted: true });
-                        i += 2;
-                    } else {
-                        literals.push({ variable: char, inverted: false });
+                    if (term[i] === "'") {
+                        literals.push({ variable: match, inverted: true });
                         i++;
+                    } else {
+                        literals.push({ variable: match, inverted: false });
                     }
                 } else {
                     i++;
@@ -173,8 +179,12 @@ class SchematicGenerator {
             y: productTerms.length > 1 ? layers.orGate.y : layers.andGates[0].y
         };
 
+        // Leave room on the left for long input names (about 8px per character)
+        const longestName = Math.max(...variables.map(v => v.length));
+        layers.labelOffset = Math.max(0, longestName * 8 - 30);
+
         // Generate SVG
-        const svgWidth = outputX + 50;
+        const svgWidth = outputX + 50 + layers.labelOffset;
         const svgHeight = Math.max(andYPos, 300);
 
         return this.renderCircuitSVG(layers, svgWidth, svgHeight);
@@ -194,6 +204,7 @@ class SchematicGenerator {
         svg += '<polygon points="0 0, 10 3.5, 0 7" fill="#333" />';
         svg += '</marker>';
         svg += '</defs>';
+        svg += `<g transform="translate(${layers.labelOffset || 0}, 0)">`;
 
         // Draw inputs
         layers.inputs.forEach(input => {
@@ -251,6 +262,7 @@ class SchematicGenerator {
         // Draw output
         svg += this.drawOutput(layers.output.name, layers.output.x, layers.output.y);
 
+        svg += '</g>';
         svg += '</svg>';
         return svg;
     }
@@ -260,7 +272,7 @@ class SchematicGenerator {
      */
     drawInput(name, x, y) {
         return `<circle cx="${x}" cy="${y}" r="5" fill="${this.wireColor}" />
-                <text x="${x - 20}" y="${y + 5}" font-family="Arial" font-size="14" fill="${this.wireColor}">${name}</text>
+                <text x="${x - 10}" y="${y + 5}" text-anchor="end" font-family="Arial" font-size="14" fill="${this.wireColor}">${name}</text>
                 <line x1="${x}" y1="${y}" x2="${x + 40}" y2="${y}" stroke="${this.wireColor}" stroke-width="2" />`;
     }
 
@@ -3,60 +3,163 @@
  * Implements grouping and minimization algorithms
  */
 
+// Under Node the bit set is loaded here; in the browser it is a global
+if (typeof module !== 'undefined' && module.exports && typeof BitSet === 'undefined') {
+    globalThis.BitSet = require('./bitset.js');
+}
+
 class KMapSimplifier {
     constructor() {
         this.primeImplicants = [];
         this.essentialPrimeImplicants = [];
+
+        // Quine-McCluskey does not need a map, so it goes past the K-map's 8
+        this.maxVariables = 12;
+
+        // Cover cost: 'terms' compares term count, then literal count;
+        // 'literals' compares literal count, then term count
+        this.cost = 'terms';
+
+        // Petrick's method gives up past this many candidate covers, and
+        // the cover is completed greedily instead
+        this.petrickLimit = 1000;
     }
 
     /**
-     * Simplify K-map and return minimized SOP expression
-     * @param {Object} kmap - K-map data structure
-     * @returns {Object} - Simplified expression data
+     * Simplify K-map and return minimized SOP and POS expressions
+     * @param {Object} kmap - K-map data structure, or a truth table when there
+     *                        is no map (anything with variables, numVars and either
+     *                        onSet/dcSet bit sets or minterms/dontCares lists)
+     * @returns {Object} - Simplified expression data: groups are the groups of
+     *                     1s behind sop, posGroups the groups of 0s behind pos;
+     *                     provablyMinimal and posProvablyMinimal say whether
+     *                     each cover is known to be a minimum under this.cost
      */
     simplify(kmap) {
-        const { minterms, variables, numVars, dontCares = [] } = kmap;
+        const { variables, numVars } = kmap;
+
+        if (numVars > this.maxVariables) {
+            throw new Error(`Simplification supports at most ${this.maxVariables} variables (got ${numVars})`);
+        }
+
+        const { onSet, dcSet } = this.getSets(kmap);
+        const minterms = onSet.toArray();
+        const pos = this.minimizePOS(kmap, onSet, dcSet);
 
         if (minterms.length === 0) {
             return {
                 sop: '0',
-                pos: '1',
                 primeImplicants: [],
-                essentialPrimeImplicants: []
+                essentialPrimeImplicants: [],
+                groups: [],
+                provablyMinimal: true,
+                ...pos
             };
         }
 
-        if (minterms.length === Math.pow(2, numVars)) {
+        if (minterms.length === onSet.size) {
+            // The whole map is one group
             return {
                 sop: '1',
-                pos: '0',
                 primeImplicants: [],
-                essentialPrimeImplicants: []
+                essentialPrimeImplicants: [],
+                groups: this.findGroups(kmap, [{ binary: '-'.repeat(numVars), minterms: minterms }]),
+                provablyMinimal: true,
+                ...pos
             };
         }
 
         // Use Quine-McCluskey algorithm for minimization with don't cares
         // Treat don't cares as 1s for finding prime implicants
-        const allOnes = [...minterms, ...dontCares];
+        const allOnes = onSet.or(dcSet).toArray();
         const primeImplicants = this.quineMcCluskey(allOnes, numVars);
 
         // But only cover the actual minterms (not don't cares)
-        const essentialPIs = this.findEssentialPrimeImplicants(primeImplicants, minterms);
+        const { cover, provablyMinimal } = this.findMinimumCover(primeImplicants, minterms);
 
         // Convert to SOP expression
-        const sop = this.convertToSOP(essentialPIs, variables);
-
-        // Generate POS from maxterms (excluding don't cares)
-        const allTerms = Array.from({ length: Math.pow(2, numVars) }, (_, i) => i);
-        const maxterms = allTerms.filter(t => !minterms.includes(t) && !dontCares.includes(t));
-        const pos = this.convertToPOS(maxterms, variables);
+        const sop = this.convertToSOP(cover, variables);
 
         return {
             sop: sop,
-            pos: pos,
             primeImplicants: primeImplicants,
-            essentialPrimeImplicants: essentialPIs,
-            groups: this.findGroups(kmap)
+            essentialPrimeImplicants: cover,
+            groups: this.findGroups(kmap, cover),
+            provablyMinimal: provablyMinimal,
+            ...pos
+        };
+    }
+
+    /**
+     * Minimize the POS form by grouping the 0s
+     *
+     * The prime implicates of F are the prime implicants of F', so this is
+     * Quine-McCluskey on the off-set with the don't cares, covering only
+     * the maxterms. Each implicate is a sum of literals, complemented where
+     * the group's variable is 1.
+     *
+     * @param {Object} kmap - K-map data structure or truth table
+     * @param {BitSet} onSet - On rows
+     * @param {BitSet} dcSet - Don't-care rows
+     * @returns {Object} - {pos, primeImplicates, essentialPrimeImplicates, posGroups, posProvablyMinimal}
+     */
+    minimizePOS(kmap, onSet, dcSet) {
+        const { variables, numVars } = kmap;
+        const offSet = onSet.or(dcSet).not();
+        const maxterms = offSet.toArray();
+
+        if (maxterms.length === 0) {
+            return {
+                pos: '1',
+                primeImplicates: [],
+                essentialPrimeImplicates: [],
+                posGroups: [],
+                posProvablyMinimal: true
+            };
+        }
+
+        if (maxterms.length === offSet.size) {
+            // The whole map is one group of 0s
+            return {
+                pos: '0',
+                primeImplicates: [],
+                essentialPrimeImplicates: [],
+                posGroups: this.findGroups(kmap, [{ binary: '-'.repeat(numVars), minterms: maxterms }])
+                    .map(group => ({ ...group, term: '0' })),
+                posProvablyMinimal: true
+            };
+        }
+
+        const primeImplicates = this.quineMcCluskey(offSet.or(dcSet).toArray(), numVars);
+        const { cover, provablyMinimal } = this.findMinimumCover(primeImplicates, maxterms);
+
+        return {
+            pos: this.convertToPOS(cover, variables),
+            primeImplicates: primeImplicates,
+            essentialPrimeImplicates: cover,
+            posGroups: this.findGroups(kmap, cover).map((group, i) => ({
+                ...group,
+                term: this.convertToPOS([cover[i]], variables)
+            })),
+            posProvablyMinimal: provablyMinimal
+        };
+    }
+
+    /**
+     * On and don't-care sets of a map or truth table, built from the
+     * minterm lists when the input has no bit sets
+     * @param {Object} kmap - K-map data structure or truth table
+     * @returns {Object} - {onSet, dcSet}
+     */
+    getSets(kmap) {
+        if (kmap.onSet) {
+            return { onSet: kmap.onSet, dcSet: kmap.dcSet };
+        }
+
+        const numRows = Math.pow(2, kmap.numVars);
+        return {
+            onSet: BitSet.fromIndices(numRows, kmap.minterms),
+            dcSet: BitSet.fromIndices(numRows, kmap.dontCares || [])
         };
     }
 
@@ -67,50 +170,48 @@ class KMapSimplifier {
      * @returns {Array} - Prime implicants
      */
     quineMcCluskey(minterms, numVars) {
-        // Convert minterms to binary representation
+        // Terms are cubes: value holds the fixed bits, mask the eliminated
+        // ones ('-' in the binary form). Integers keep this fast past 6 variables.
         let terms = minterms.map(m => ({
-            binary: m.toString(2).padStart(numVars, '0'),
-            minterms: [m],
+            value: m,
+            mask: 0,
             used: false
         }));
 
-        let primeImplicants = [];
-        let iteration = 0;
-
-        while (iteration < numVars) {
-            let newTerms = [];
-            let grouped = new Set();
-
-            // Group by number of 1s
-            const groups = this.groupByOnes(terms);
-
-            // Try to combine adjacent groups
-            for (let i = 0; i < groups.length - 1; i++) {
-                const group1 = groups[i];
-                const group2 = groups[i + 1];
-
-                for (let term1 of group1) {
-                    for (let term2 of group2) {
-                        const combined = this.combineBinary(term1.binary, term2.binary);
-                        if (combined) {
-                            term1.used = true;
-                            term2.used = true;
-                            grouped.add(term1.binary);
-                            grouped.add(term2.binary);
-
-                            // Check if this combined term already exists
-                            const exists = newTerms.some(t => t.binary === combined);
-                            if (!exists) {
-                                newTerms.push({
-                                    binary: combined,
-                                    minterms: [...new Set([...term1.minterms, ...term2.minterms])],
-                                    used: false
-                                });
-                            }
-                        }
+        const primeImplicants = [];
+
+        while (terms.length > 0) {
+            // Key a cube by mask and value packed into one number
+            const size = 1 << numVars;
+            const byKey = new Map(terms.map(term => [term.mask * size + term.value, term]));
+            const newTerms = [];
+            const seen = new Set();
+
+            // A partner differs in exactly one bit that is 0 here and 1 there,
+            // so look each one up directly instead of comparing every pair
+            terms.forEach(term1 => {
+                for (let pos = 0; pos < numVars; pos++) {
+                    const bit = 1 << (numVars - 1 - pos);
+                    if ((term1.value | term1.mask) & bit) continue;
+
+                    const term2 = byKey.get(term1.mask * size + (term1.value | bit));
+                    if (!term2) continue;
+
+                    term1.used = true;
+                    term2.used = true;
+
+                    // Check if this combined term already exists
+                    const key = (term1.mask | bit) * size + term1.value;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        newTerms.push({
+                            value: term1.value,
+                            mask: term1.mask | bit,
+                            used: false
+                        });
                     }
                 }
-            }
+            });
 
             // Add unused terms as prime implicants
             terms.forEach(term => {
@@ -119,33 +220,47 @@ class KMapSimplifier {
                 }
             });
 
-            if (newTerms.length === 0) break;
             terms = newTerms;
-            iteration++;
         }
 
-        // Add any remaining terms
-        terms.forEach(term => {
-            if (!term.used) {
-                primeImplicants.push(term);
-            }
-        });
-
-        return primeImplicants;
+        return primeImplicants.map(term => ({
+            binary: this.cubeToBinary(term.value, term.mask, numVars),
+            minterms: this.cubeMinterms(term.value, term.mask),
+            used: false
+        }));
     }
 
     /**
-     * Group terms by number of 1s in binary representation
+     * List the minterms a cube covers, in ascending order
+     * @param {number} value - Fixed bits
+     * @param {number} mask - Eliminated bits
+     * @returns {Array} - Minterm indices
      */
-    groupByOnes(terms) {
-        const groups = {};
-        terms.forEach(term => {
-            const ones = (term.binary.match(/1/g) || []).length;
-            if (!groups[ones]) groups[ones] = [];
-            groups[ones].push(term);
-        });
+    cubeMinterms(value, mask) {
+        const minterms = [];
+        // Walk every subset of the mask
+        let subset = 0;
+        do {
+            minterms.push(value | subset);
+            subset = (subset - mask) & mask;
+        } while (subset !== 0);
+        return minterms;
+    }
 
-        return Object.keys(groups).sort((a, b) => a - b).map(k => groups[k]);
+    /**
+     * Write a cube as a binary string with '-' for eliminated variables
+     * @param {number} value - Fixed bits
+     * @param {number} mask - Eliminated bits
+     * @param {number} numVars - Number of variables
+     * @returns {string} - e.g. '1-0'
+     */
+    cubeToBinary(value, mask, numVars) {
+        let binary = '';
+        for (let pos = 0; pos < numVars; pos++) {
+            const bit = 1 << (numVars - 1 - pos);
+            binary += mask & bit ? '-' : (value & bit ? '1' : '0');
+        }
+        return binary;
     }
 
     /**
@@ -174,12 +289,37 @@ class KMapSimplifier {
     }
 
     /**
-     * Find essential prime implicants
+     * Find essential prime implicants and complete them to a cover
      * @param {Array} primeImplicants - All prime implicants
      * @param {Array} minterms - Original minterms
-     * @returns {Array} - Essential prime implicants
+     * @returns {Array} - The implicants of a minimum cover, from findMinimumCover()
      */
     findEssentialPrimeImplicants(primeImplicants, minterms) {
+        return this.findMinimumCover(primeImplicants, minterms).cover;
+    }
+
+    /**
+     * Choose a cheapest set of prime implicants covering the minterms
+     *
+     * Essential prime implicants (the only ones covering some minterm)
+     * are taken first. The rest, often a cyclic core where every minterm
+     * has two or more choices, is covered exactly with Petrick's method:
+     * the product over the remaining minterms of the sum of implicants
+     * covering each is multiplied out, dropping any product that contains
+     * another, and the cheapest product under this.cost wins. Parts of
+     * the core that share no implicant are multiplied out separately. If
+     * a part grows past this.petrickLimit products it is covered greedily
+     * by coverage count, and the cover is not known to be a minimum.
+     *
+     * @param {Array} primeImplicants - All prime implicants
+     * @param {Array} minterms - Minterms to cover (not don't cares)
+     * @returns {Object} - {cover, provablyMinimal}
+     */
+    findMinimumCover(primeImplicants, minterms) {
+        if (!['terms', 'literals'].includes(this.cost)) {
+            throw new Error(`Unknown cover cost '${this.cost}' (use 'terms' or 'literals')`);
+        }
+
         const coverage = {};
         minterms.forEach(m => {
             coverage[m] = [];
@@ -205,42 +345,161 @@ class KMapSimplifier {
         // Get essential PIs
         const essentialPIs = Array.from(essentialIndices).map(i => primeImplicants[i]);
 
-        // Cover remaining minterms with additional PIs if needed
+        // Minterms the essentials leave uncovered
         const coveredMinterms = new Set();
         essentialPIs.forEach(pi => {
             pi.minterms.forEach(m => coveredMinterms.add(m));
         });
-
         const uncovered = minterms.filter(m => !coveredMinterms.has(m));
-        const additionalPIs = [];
-
-        // Greedy selection for remaining minterms
-        while (uncovered.length > 0) {
-            let bestPI = null;
-            let maxCoverage = 0;
-
-            primeImplicants.forEach(pi => {
-                if (!essentialPIs.includes(pi) && !additionalPIs.includes(pi)) {
-                    const coverage = pi.minterms.filter(m => uncovered.includes(m)).length;
-                    if (coverage > maxCoverage) {
-                        maxCoverage = coverage;
-                        bestPI = pi;
-                    }
+        if (uncovered.length === 0) {
+            return { cover: essentialPIs, provablyMinimal: true };
+        }
+
+        // Parts sharing no implicant are covered separately; costs add up,
+        // so the cheapest covers of the parts make the cheapest cover
+        const cost = indices => this.coverCost(indices.map(i => primeImplicants[i]));
+        const cover = [...essentialPIs];
+        let provablyMinimal = true;
+        this.coverParts(uncovered, coverage).forEach(part => {
+            const products = this.petrick(part.map(m => coverage[m]));
+            if (products === null) {
+                cover.push(...this.greedyCover(primeImplicants, part));
+                provablyMinimal = false;
+                return;
+            }
+            const best = products.reduce((a, b) => this.compareCost(cost(b), cost(a)) < 0 ? b : a);
+            cover.push(...best.map(i => primeImplicants[i]));
+        });
+
+        return { cover, provablyMinimal };
+    }
+
+    /**
+     * Split minterms into parts no prime implicant spans
+     * @param {Array} minterms - Minterms to split
+     * @param {Object} coverage - Minterm to the indices of the implicants covering it
+     * @returns {Array} - Arrays of minterms
+     */
+    coverParts(minterms, coverage) {
+        // Union-find over minterms, joined through each implicant's first minterm
+        const parent = {};
+        const find = m => (parent[m] === m ? m : (parent[m] = find(parent[m])));
+        const firstMinterm = {};
+        minterms.forEach(m => {
+            parent[m] = m;
+            coverage[m].forEach(i => {
+                if (i in firstMinterm) {
+                    parent[find(m)] = find(firstMinterm[i]);
+                } else {
+                    firstMinterm[i] = m;
                 }
             });
+        });
 
-            if (bestPI) {
-                additionalPIs.push(bestPI);
-                bestPI.minterms.forEach(m => {
-                    const index = uncovered.indexOf(m);
-                    if (index > -1) uncovered.splice(index, 1);
-                });
-            } else {
-                break;
-            }
+        const parts = new Map();
+        minterms.forEach(m => {
+            const root = find(m);
+            if (!parts.has(root)) parts.set(root, []);
+            parts.get(root).push(m);
+        });
+        return [...parts.values()];
+    }
+
+    /**
+     * Multiply out Petrick's product of sums
+     * @param {Array} sums - For each minterm, the indices of the implicants covering it
+     * @returns {Array|null} - Irredundant products as index lists, or null past this.petrickLimit
+     */
+    petrick(sums) {
+        // Products are sets over just the implicants these sums mention
+        const candidates = [...new Set(sums.flat())];
+        const local = new Map(candidates.map((index, i) => [index, i]));
+        let products = [new BitSet(candidates.length)];
+
+        // Short sums first keeps the intermediate products few. A sum
+        // containing a shorter one is implied by it and can be dropped.
+        const ordered = [];
+        sums.map(sum => sum.map(index => local.get(index))).sort((a, b) => a.length - b.length).forEach(sum => {
+            if (!ordered.some(kept => kept.every(i => sum.includes(i)))) ordered.push(sum);
+        });
+        for (const sum of ordered) {
+            const next = new Map();
+            const keep = product => next.set(product.toArray().join(','), product);
+            products.forEach(product => {
+                // A product that already covers this minterm absorbs the sum
+                if (sum.some(i => product.has(i))) {
+                    keep(product);
+                } else {
+                    sum.forEach(i => keep(product.or(BitSet.fromIndices(product.size, [i]))));
+                }
+            });
+
+            if (next.size > this.petrickLimit) return null;
+
+            // Absorption: X + XY = X
+            const sorted = [...next.values()].sort((a, b) => a.count() - b.count());
+            products = [];
+            sorted.forEach(product => {
+                if (!products.some(kept => kept.isSubsetOf(product))) products.push(product);
+            });
+        }
+
+        return products.map(product => product.toArray().map(i => candidates[i]));
+    }
+
+    /**
+     * Cost of a set of implicants as [primary, secondary], by this.cost
+     * @param {Array} implicants - Implicants with binary
+     * @returns {Array} - [terms, literals] or [literals, terms]
+     */
+    coverCost(implicants) {
+        const terms = implicants.length;
+        const literals = this.countLiterals(implicants);
+        return this.cost === 'literals' ? [literals, terms] : [terms, literals];
+    }
+
+    compareCost(a, b) {
+        return a[0] - b[0] || a[1] - b[1];
+    }
+
+    /**
+     * Cover minterms by repeatedly taking the implicant that covers the
+     * most of those left
+     * @param {Array} primeImplicants - Candidate implicants
+     * @param {Array} minterms - Minterms to cover
+     * @returns {Array} - Chosen implicants
+     */
+    greedyCover(primeImplicants, minterms) {
+        const uncovered = new Set(minterms);
+
+        // How many uncovered minterms each implicant still covers, and
+        // which implicants cover each minterm
+        const counts = primeImplicants.map(pi => pi.minterms.filter(m => uncovered.has(m)).length);
+        const coveredBy = new Map();
+        primeImplicants.forEach((pi, index) => {
+            pi.minterms.forEach(m => {
+                if (!uncovered.has(m)) return;
+                if (!coveredBy.has(m)) coveredBy.set(m, []);
+                coveredBy.get(m).push(index);
+            });
+        });
+
+        const chosen = [];
+        while (uncovered.size > 0) {
+            let best = -1;
+            counts.forEach((count, index) => {
+                if (count > 0 && (best === -1 || count > counts[best])) best = index;
+            });
+
+            if (best === -1) break;
+            chosen.push(primeImplicants[best]);
+            primeImplicants[best].minterms.forEach(m => {
+                if (!uncovered.delete(m)) return;
+                coveredBy.get(m).forEach(index => counts[index]--);
+            });
         }
 
-        return [...essentialPIs, ...additionalPIs];
+        return chosen;
     }
 
     /**
@@ -252,64 +511,280 @@ class KMapSimplifier {
     convertToSOP(primeImplicants, variables) {
         if (primeImplicants.length === 0) return '0';
 
+        // Multi-character names need an explicit AND between literals
+        const separator = variables.every(v => v.length === 1) ? '' : '·';
+
         const terms = primeImplicants.map(pi => {
-            let term = '';
+            const literals = [];
             for (let i = 0; i < pi.binary.length; i++) {
                 if (pi.binary[i] === '1') {
-                    term += variables[i];
+                    literals.push(variables[i]);
                 } else if (pi.binary[i] === '0') {
-                    term += variables[i] + "'";
+                    literals.push(variables[i] + "'");
                 }
                 // '-' means don't care, skip it
             }
-            return term || '1';
+            return literals.join(separator) || '1';
         });
 
         return terms.join(' + ');
     }
 
     /**
-     * Convert maxterms to POS expression
-     * @param {Array} maxterms - Array of maxterm indices
+     * Convert prime implicates (groups of 0s) to POS expression
+     * @param {Array} implicates - Implicants of the off-set, with binary ('1-0-')
      * @param {Array} variables - Variable names
      * @returns {string} - POS expression
      */
-    convertToPOS(maxterms, variables) {
-        if (maxterms.length === 0) return '1';
+    convertToPOS(implicates, variables) {
+        if (implicates.length === 0) return '1';
 
-        const terms = maxterms.map(maxterm => {
-            const binary = maxterm.toString(2).padStart(variables.length, '0');
-            const literals = binary.split('').map((bit, idx) => {
-                return bit === '0' ? variables[idx] : variables[idx] + "'";
-            });
-            return '(' + literals.join(' + ') + ')';
+        const terms = implicates.map(pi => {
+            const literals = [];
+            for (let i = 0; i < pi.binary.length; i++) {
+                if (pi.binary[i] === '0') {
+                    literals.push(variables[i]);
+                } else if (pi.binary[i] === '1') {
+                    literals.push(variables[i] + "'");
+                }
+            }
+            if (literals.length === 0) return '0';
+            return literals.length === 1 ? literals[0] : '(' + literals.join(' + ') + ')';
         });
 
         return terms.join('·');
     }
 
     /**
-     * Find visual groups in K-map for display
-     * @param {Object} kmap - K-map data
-     * @returns {Array} - Array of group objects
+     * Read a minimized SOP from a variable-entered map
+     *
+     * Works through the products of the entered variables, the constant 1
+     * first and then by number of literals. For each product p, a cell is
+     * 1 if its function covers p and still has a 1 under p left to cover,
+     * a don't care if it covers p but has nothing left, and 0 otherwise;
+     * the groups of that map, ANDed with p, are terms of the result. Terms
+     * made redundant by later ones are dropped, and the answer is checked
+     * against Quine-McCluskey on the full truth table.
+     *
+     * @param {Object} kmap - Map from KarnaughMap.generateEntered()
+     * @returns {Object} - {sop, terms, groups, literals, check} where terms
+     *                     are [{binary, mapBinary, enteredBinary, minterms}] and
+     *                     check is {equivalent, sop, literals} for the QM answer
      */
-    findGroups(kmap) {
-        // This is a simplified version - full implementation would
-        // identify rectangular groups of 1, 2, 4, 8, etc. cells
-        const groups = [];
-        const { minterms, numVars } = kmap;
-
-        // For now, return individual cells as groups
-        // A full implementation would merge adjacent cells
-        minterms.forEach(m => {
-            groups.push({
-                minterms: [m],
-                size: 1,
-                binary: m.toString(2).padStart(numVars, '0')
+    simplifyEntered(kmap) {
+        const { entered, original, layout } = kmap;
+        const mapVars = kmap.variables;
+        const { cells } = entered;
+        const numEntered = entered.variables.length;
+        const points = Array.from({ length: Math.pow(2, numEntered) }, (_, p) => p);
+
+        // Products of the entered variables, as cubes ('-', '0-', '10', ...)
+        const products = Array.from({ length: Math.pow(3, numEntered) }, (_, c) =>
+            c.toString(3).padStart(numEntered, '0').replace(/0/g, '-').replace(/2/g, '0'))
+            .sort((a, b) => a.replace(/-/g, '').length - b.replace(/-/g, '').length);
+        const pointsOf = cube => points.filter(p => cube.split('').every((bit, i) =>
+            bit === '-' || Number(bit) === ((p >> (numEntered - 1 - i)) & 1)));
+
+        const remaining = cells.map(cell => new Set(cell.on));
+        let terms = [];
+        products.forEach(product => {
+            const under = pointsOf(product);
+            const fits = cell => under.every(p => cell.on.includes(p) || cell.dc.includes(p));
+            const onSet = BitSet.fromPredicate(cells.length, m =>
+                fits(cells[m]) && under.some(p => remaining[m].has(p)));
+            if (onSet.isEmpty()) return;
+            const dcSet = BitSet.fromPredicate(cells.length, m => fits(cells[m])).minus(onSet);
+
+            const result = this.simplify({ variables: mapVars, numVars: mapVars.length, onSet, dcSet });
+            // The whole-map cube also takes in the don't-care cells
+            const implicants = result.sop === '1'
+                ? [{ binary: '-'.repeat(mapVars.length), minterms: onSet.or(dcSet).toArray() }]
+                : result.essentialPrimeImplicants;
+
+            implicants.forEach(pi => {
+                pi.minterms.forEach(m => under.forEach(p => remaining[m].delete(p)));
+                terms.push({
+                    binary: this.mergeEntered(original.variables, entered.variables, pi.binary, product),
+                    mapBinary: pi.binary,
+                    enteredBinary: product,
+                    minterms: pi.minterms
+                });
+            });
+        });
+
+        // A term whose on rows are all covered by the other terms is redundant
+        const onRows = original.onSet.toArray();
+        const covers = (binary, row) => binary.split('').every((bit, i) =>
+            bit === '-' || Number(bit) === ((row >> (binary.length - 1 - i)) & 1));
+        for (let i = terms.length - 1; i >= 0; i--) {
+            const others = terms.filter((_, j) => j !== i);
+            const needed = onRows.some(row => covers(terms[i].binary, row) &&
+                !others.some(term => covers(term.binary, row)));
+            if (!needed) terms = others;
+        }
+
+        const sop = this.convertToSOP(terms, original.variables);
+        const qm = this.simplify(original);
+        const groups = this.findGroups({ variables: mapVars, layout: layout },
+            terms.map(term => ({ binary: term.mapBinary, minterms: term.minterms })));
+        groups.forEach((group, i) => {
+            group.term = this.convertToSOP([terms[i]], original.variables);
+        });
+
+        return {
+            sop: sop,
+            terms: terms,
+            groups: groups,
+            literals: this.countLiterals(terms),
+            check: {
+                equivalent: Array.from({ length: original.onSet.size }, (_, row) => row).every(row => {
+                    const covered = terms.some(term => covers(term.binary, row));
+                    return original.dcSet.has(row) || covered === original.onSet.has(row);
+                }),
+                sop: qm.sop,
+                literals: this.countLiterals(qm.essentialPrimeImplicants)
+            }
+        };
+    }
+
+    /**
+     * Put a map cube and an entered-variable cube back in the order of
+     * the full variable list
+     * @param {Array} variables - All variables
+     * @param {Array} enteredVars - Entered variables, in the same order
+     * @param {string} mapBinary - Cube over the map variables
+     * @param {string} enteredBinary - Cube over the entered variables
+     * @returns {string} - Cube over all variables
+     */
+    mergeEntered(variables, enteredVars, mapBinary, enteredBinary) {
+        let mapBit = 0;
+        let enteredBit = 0;
+        return variables.map(v => enteredVars.includes(v)
+            ? enteredBinary[enteredBit++]
+            : mapBinary[mapBit++]).join('');
+    }
+
+    /**
+     * Number of literals in a set of implicants
+     */
+    countLiterals(implicants) {
+        return implicants.reduce((sum, pi) => sum + pi.binary.replace(/-/g, '').length, 0);
+    }
+
+    /**
+     * Place the implicants of a cover on the K-map grid
+     *
+     * An implicant fixes some variables and leaves the rest free, so along
+     * each axis it covers the grid indices whose Gray code matches its
+     * fixed bits. Those indices form runs {start, length}; a run with
+     * start + length past the end of the axis wraps around to index 0
+     * (the outer columns of a 4-column map are adjacent). A group covers
+     * every listed sub-map, row run and column run; rectangles splits
+     * wrapping runs at the edge so each piece can be drawn as one box.
+     *
+     * @param {Object} kmap - K-map data with a layout; truth tables give no groups
+     * @param {Array} implicants - Implicants with binary ('1-0-') and minterms
+     * @returns {Array} - [{binary, term, minterms, size, maps, rows, cols, rectangles}]
+     */
+    findGroups(kmap, implicants) {
+        if (!kmap.layout) return [];
+
+        const { maps, rows, cols } = kmap.layout;
+
+        return implicants.map(pi => {
+            const mapIndices = this.matchAxis(pi.binary, maps);
+            const rowRuns = this.axisRuns(this.matchAxis(pi.binary, rows), rows.codes.length);
+            const colRuns = this.axisRuns(this.matchAxis(pi.binary, cols), cols.codes.length);
+
+            const rectangles = [];
+            mapIndices.forEach(map => {
+                rowRuns.forEach(rowRun => {
+                    this.splitRun(rowRun, rows.codes.length).forEach(rowPiece => {
+                        colRuns.forEach(colRun => {
+                            this.splitRun(colRun, cols.codes.length).forEach(colPiece => {
+                                rectangles.push({
+                                    map: map,
+                                    row: rowPiece.start,
+                                    col: colPiece.start,
+                                    height: rowPiece.length,
+                                    width: colPiece.length
+                                });
+                            });
+                        });
+                    });
+                });
             });
+
+            return {
+                binary: pi.binary,
+                term: this.convertToSOP([pi], kmap.variables),
+                minterms: pi.minterms,
+                size: Math.pow(2, pi.binary.split('').filter(bit => bit === '-').length),
+                maps: mapIndices,
+                rows: rowRuns,
+                cols: colRuns,
+                rectangles: rectangles
+            };
+        });
+    }
+
+    /**
+     * Grid indices along one axis that an implicant covers
+     * @param {string} binary - Implicant in cube notation
+     * @param {Object} axis - {variables, codes} from KarnaughMap.getLayout()
+     * @returns {Array} - Indices into axis.codes, ascending
+     */
+    matchAxis(binary, axis) {
+        const pattern = axis.variables.map(i => binary[i]);
+        const indices = [];
+        axis.codes.forEach((code, index) => {
+            if (pattern.every((bit, i) => bit === '-' || bit === code[i])) indices.push(index);
+        });
+        return indices;
+    }
+
+    /**
+     * Group ascending indices into runs of neighbours, joining a run that
+     * ends on the last index with one that starts at 0
+     * @param {Array} indices - Ascending grid indices
+     * @param {number} length - Number of indices on the axis
+     * @returns {Array} - [{start, length}]
+     */
+    axisRuns(indices, length) {
+        if (indices.length === length) return [{ start: 0, length: length }];
+
+        const runs = [];
+        indices.forEach(index => {
+            const last = runs[runs.length - 1];
+            if (last && last.start + last.length === index) {
+                last.length++;
+            } else {
+                runs.push({ start: index, length: 1 });
+            }
         });
 
-        return groups;
+        const first = runs[0];
+        const last = runs[runs.length - 1];
+        if (runs.length > 1 && first.start === 0 && last.start + last.length === length) {
+            last.length += first.length;
+            runs.shift();
+        }
+
+        return runs;
+    }
+
+    /**
+     * Split a run that wraps past the end of the axis into two
+     * @param {Object} run - {start, length}
+     * @param {number} length - Number of indices on the axis
+     * @returns {Array} - One or two runs inside the axis
+     */
+    splitRun(run, length) {
+        if (run.start + run.length <= length) return [run];
+        return [
+            { start: run.start, length: length - run.start },
+            { start: 0, length: run.start + run.length - length }
+        ];
     }
 }
 
@@ -1,68 +1,306 @@
 /**
  * Truth Table Generator
  * Generates truth tables from parsed Boolean expressions
+ *
+ * A table stores its function as bit sets over the row indices: onSet,
+ * offSet and dcSet (don't cares). The minterms, maxterms and dontCares
+ * lists and the per-row objects in rows are derived from them on first use.
+ * Tables generated from an expression also list the columns of its
+ * subexpressions, which the renderers can show between inputs and output.
  */
 
+// Under Node the sibling modules are loaded here; in the browser they are globals
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof BooleanParser === 'undefined') globalThis.BooleanParser = require('./parser.js');
+    if (typeof BitSet === 'undefined') globalThis.BitSet = require('./bitset.js');
+    if (typeof KMapSimplifier === 'undefined') globalThis.KMapSimplifier = require('./simplifier.js');
+}
+
 class TruthTableGenerator {
+    constructor() {
+        this.parser = new BooleanParser();
+
+        // 2^12 = 4096 rows is still quick to build; the HTML is paged
+        this.maxVariables = 12;
+        this.pageSize = 64;
+    }
+
     /**
      * Generate truth table for given expression
      * @param {Object} parsedExpression - Parsed expression from BooleanParser
      * @returns {Object} - Truth table data
      */
     generate(parsedExpression) {
-        const { variables, evaluable } = parsedExpression;
+        // Minterm-list input (Σm / ΠM) already specifies every row
+        if (parsedExpression.spec) {
+            const { variables, minterms, dontCares } = parsedExpression.spec;
+            const numRows = Math.pow(2, variables.length);
+            this.checkSize(variables.length);
+            return this.createTable(variables, BitSet.fromIndices(numRows, minterms),
+                BitSet.fromIndices(numRows, dontCares));
+        }
+
+        const { variables, tree } = parsedExpression;
         const numVars = variables.length;
         const numRows = Math.pow(2, numVars);
+        this.checkSize(numVars);
 
-        const rows = [];
-        const minterms = [];
-        const maxterms = [];
+        // Column of each variable: the rows where it is 1 (first variable = MSB)
+        const columns = {};
+        variables.forEach((variable, index) => {
+            const bit = numVars - 1 - index;
+            columns[variable] = BitSet.fromPredicate(numRows, row => (row >> bit) & 1);
+        });
 
-        // Generate all combinations
-        for (let i = 0; i < numRows; i++) {
-            const binary = i.toString(2).padStart(numVars, '0');
-            const values = {};
+        // Evaluate the tree on all rows at once, 32 rows per word
+        const results = new Map();
+        const onSet = this.evaluateBits(tree, columns, numRows, (node, bits) => results.set(node, bits));
+        const table = this.createTable(variables, onSet, new BitSet(numRows));
+        table.subexpressions = this.subexpressionColumns(tree, results);
+        return table;
+    }
 
-            // Create variable value mapping
-            variables.forEach((variable, index) => {
-                values[variable] = parseInt(binary[index]);
-            });
+    /**
+     * Evaluate an expression tree over every row in parallel
+     * @param {Object} node - Expression tree node
+     * @param {Object} columns - Variable name -> BitSet of rows where it is 1
+     * @param {number} numRows - Number of rows
+     * @param {Function} record - Optional (node, bits) callback for each NOT and binary node
+     * @returns {BitSet} - Rows where the node is 1
+     */
+    evaluateBits(node, columns, numRows, record = null) {
+        const bits = this.evaluateNode(node, columns, numRows, record);
+        if (record && (node.type === 'not' || node.type === 'binary')) record(node, bits);
+        return bits;
+    }
 
-            // Evaluate expression
-            const parser = new BooleanParser();
-            const output = parser.evaluate(evaluable, values);
+    evaluateNode(node, columns, numRows, record) {
+        switch (node.type) {
+            case 'variable':
+                if (!columns[node.name]) {
+                    throw new Error(`Evaluation error: no value for variable ${node.name}`);
+                }
+                return columns[node.name];
+            case 'constant':
+                return node.value ? new BitSet(numRows).not() : new BitSet(numRows);
+            case 'not':
+                return this.evaluateBits(node.operand, columns, numRows, record).not();
+            case 'binary': {
+                const a = this.evaluateBits(node.left, columns, numRows, record);
+                const b = this.evaluateBits(node.right, columns, numRows, record);
+                switch (node.operator) {
+                    case 'AND': return a.and(b);
+                    case 'NAND': return a.and(b).not();
+                    case 'OR': return a.or(b);
+                    case 'NOR': return a.or(b).not();
+                    case 'XOR': return a.xor(b);
+                    case 'XNOR':
+                    case 'IFF': return a.xor(b).not();
+                    case 'IMPLIES': return a.not().or(b);
+                    default:
+                        throw new Error(`Evaluation error: unknown operator ${node.operator}`);
+                }
+            }
+            default:
+                throw new Error(`Evaluation error: unknown node type ${node.type}`);
+        }
+    }
 
-            // Track minterms and maxterms
-            if (output === 1) {
-                minterms.push(i);
+    /**
+     * List the intermediate columns of an expression, innermost first
+     *
+     * The operands of the top-level operator (all of them, for a chain
+     * such as A'B + AC + D) each start a group: the operand's own column
+     * is the group's head and the columns inside it can be collapsed
+     * into it. A'B + AC gives A', A'B (group 0, head A'B) and AC
+     * (group 1). Variables, constants, the output itself and repeated
+     * subexpressions get no column.
+     *
+     * @param {Object} tree - Expression tree
+     * @param {Map} results - Node -> BitSet of rows where it is 1
+     * @returns {Array} - [{label, group, head, values}]
+     */
+    subexpressionColumns(tree, results) {
+        const operands = [];
+        const collect = (node, operator) => {
+            if (node.type === 'binary' && node.operator === operator &&
+                ['AND', 'OR', 'XOR'].includes(operator)) {
+                collect(node.left, operator);
+                collect(node.right, operator);
             } else {
-                maxterms.push(i);
+                operands.push(node);
             }
+        };
+        if (tree.type === 'binary') {
+            collect(tree.left, tree.operator);
+            collect(tree.right, tree.operator);
+        } else if (tree.type === 'not') {
+            operands.push(tree.operand);
+        }
+
+        const seen = new Set();
+        const columns = [];
+        operands.forEach(operand => {
+            const group = [];
+            const visit = (node) => {
+                if (node.type === 'not') {
+                    visit(node.operand);
+                } else if (node.type === 'binary') {
+                    visit(node.left);
+                    visit(node.right);
+                } else {
+                    return;
+                }
+
+                const label = this.parser.format(node);
+                if (seen.has(label)) return;
+                seen.add(label);
+                group.push({ label: label, values: results.get(node) });
+            };
+            visit(operand);
 
-            rows.push({
-                index: i,
-                inputs: values,
-                output: output,
-                binary: binary
+            const index = columns.length === 0 ? 0 : columns[columns.length - 1].group + 1;
+            group.forEach((column, i) => {
+                columns.push({ ...column, group: index, head: i === group.length - 1 });
             });
-        }
+        });
 
-        return {
+        return columns;
+    }
+
+    /**
+     * Build a truth table object from its on and don't-care sets
+     *
+     * minterms, maxterms, dontCares and rows are computed on first access
+     * and cached, so large tables only pay for what is displayed.
+     *
+     * @param {Array} variables - Variable names, MSB first
+     * @param {BitSet} onSet - Rows where the output is 1
+     * @param {BitSet} dcSet - Rows where the output is a don't care
+     * @returns {Object} - Truth table data
+     */
+    createTable(variables, onSet, dcSet) {
+        onSet = onSet.minus(dcSet);
+        const table = {
             variables: variables,
-            rows: rows,
-            minterms: minterms,
-            maxterms: maxterms,
-            numVars: numVars
+            numVars: variables.length,
+            onSet: onSet,
+            offSet: onSet.or(dcSet).not(),
+            dcSet: dcSet,
+            subexpressions: []
+        };
+
+        const lazy = (name, compute) => {
+            let value;
+            Object.defineProperty(table, name, {
+                enumerable: true,
+                get: () => value === undefined ? (value = compute()) : value
+            });
+        };
+
+        lazy('minterms', () => table.onSet.toArray());
+        lazy('maxterms', () => table.offSet.toArray());
+        lazy('dontCares', () => table.dcSet.toArray());
+        lazy('rows', () => Array.from({ length: onSet.size }, (_, i) => this.getRow(table, i)));
+
+        return table;
+    }
+
+    /**
+     * Output of one row: 1, 0 or 'X'
+     * @param {Object} truthTable - Truth table data
+     * @param {number} index - Row index
+     * @returns {number|string}
+     */
+    getOutput(truthTable, index) {
+        if (truthTable.dcSet.has(index)) return 'X';
+        return truthTable.onSet.has(index) ? 1 : 0;
+    }
+
+    /**
+     * Build the display object for one row
+     * @param {Object} truthTable - Truth table data
+     * @param {number} index - Row index
+     * @returns {Object} - {index, inputs, output, binary, isDontCare}
+     */
+    getRow(truthTable, index) {
+        const { variables, numVars } = truthTable;
+        const binary = index.toString(2).padStart(numVars, '0');
+        const inputs = {};
+        variables.forEach((variable, i) => {
+            inputs[variable] = parseInt(binary[i]);
+        });
+
+        const output = this.getOutput(truthTable, index);
+        return {
+            index: index,
+            inputs: inputs,
+            output: output,
+            binary: binary,
+            isDontCare: output === 'X'
         };
     }
 
     /**
-     * Render truth table as HTML
+     * Reject tables with more variables than maxVariables
+     * @param {number} numVars - Number of variables
+     */
+    checkSize(numVars) {
+        if (numVars > this.maxVariables) {
+            throw new Error(`Truth table supports at most ${this.maxVariables} variables (got ${numVars})`);
+        }
+    }
+
+    /**
+     * Number of pages renderHTML() splits a table into
      * @param {Object} truthTable - Truth table data
+     * @returns {number} - Page count (at least 1)
+     */
+    pageCount(truthTable) {
+        return Math.max(1, Math.ceil(truthTable.onSet.size / this.pageSize));
+    }
+
+    /**
+     * Subexpression columns to include, per the export/render options
+     * @param {Object} truthTable - Truth table data
+     * @param {Object} options - {subexpressions: boolean}
+     * @returns {Array} - Columns from subexpressionColumns()
+     */
+    extraColumns(truthTable, options) {
+        return options.subexpressions ? truthTable.subexpressions || [] : [];
+    }
+
+    /**
+     * Render truth table as HTML. Tables longer than pageSize rows show one
+     * page, followed by the pager from renderPager().
+     *
+     * With subexpression columns, each group's head column has a toggle
+     * button carrying data-group; cells of the columns it collapses are
+     * marked subexpr-inner with the same data-group, and are left out for
+     * groups listed in options.collapsed.
+     *
+     * @param {Object} truthTable - Truth table data
+     * @param {number} page - Page to show (0-based)
+     * @param {Object} options - {subexpressions: boolean, collapsed: Array of group numbers}
      * @returns {string} - HTML string
      */
-    renderHTML(truthTable) {
-        const { variables, rows } = truthTable;
+    renderHTML(truthTable, page = 0, options = {}) {
+        const { variables } = truthTable;
+        const collapsed = options.collapsed || [];
+        const extra = this.extraColumns(truthTable, options)
+            .filter(column => column.head || !collapsed.includes(column.group));
+        const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const extraAttributes = column => column.head
+            ? `class="subexpr subexpr-head" data-group="${column.group}"`
+            : `class="subexpr subexpr-inner" data-group="${column.group}"`;
+        const pages = this.pageCount(truthTable);
+        page = Math.min(Math.max(page, 0), pages - 1);
+
+        const numRows = truthTable.onSet.size;
+        const start = page * this.pageSize;
+        const rows = Array.from({ length: Math.min(this.pageSize, numRows - start) }, (_, i) =>
+            this.getRow(truthTable, start + i)
+        );
 
         let html = '<table><thead><tr>';
 
@@ -70,6 +308,16 @@ class TruthTableGenerator {
         variables.forEach(variable => {
             html += `<th>${variable}</th>`;
         });
+        extra.forEach(column => {
+            let toggle = '';
+            // Only groups with inner columns can collapse
+            if (column.head && truthTable.subexpressions.some(c => c.group === column.group && !c.head)) {
+                const isCollapsed = collapsed.includes(column.group);
+                toggle = `<button class="subexpr-toggle" data-group="${column.group}" ` +
+                    `title="${isCollapsed ? 'Expand' : 'Collapse'}">${isCollapsed ? '+' : '−'}</button> `;
+            }
+            html += `<th ${extraAttributes(column)}>${toggle}${escape(column.label)}</th>`;
+        });
         html += '<th>Output</th>';
         html += '</tr></thead><tbody>';
 
@@ -79,11 +327,37 @@ class TruthTableGenerator {
             variables.forEach(variable => {
                 html += `<td>${row.inputs[variable]}</td>`;
             });
+            extra.forEach(column => {
+                html += `<td ${extraAttributes(column)}>${column.values.has(row.index) ? 1 : 0}</td>`;
+            });
             html += `<td class="output-${row.output}">${row.output}</td>`;
             html += '</tr>';
         });
 
         html += '</tbody></table>';
+        html += this.renderPager(page, numRows);
+
+        return html;
+    }
+
+    /**
+     * Pager shown under a table of more than pageSize rows; its buttons
+     * carry the target page in data-page
+     * @param {number} page - Page shown (0-based)
+     * @param {number} numRows - Rows in the whole table
+     * @returns {string} - HTML string, empty for a single page
+     */
+    renderPager(page, numRows) {
+        const pages = Math.max(1, Math.ceil(numRows / this.pageSize));
+        if (pages === 1) return '';
+
+        const start = page * this.pageSize;
+        const end = Math.min(start + this.pageSize, numRows) - 1;
+        let html = '<div class="table-pager">';
+        html += `<button class="btn-secondary" data-page="${page - 1}"${page === 0 ? ' disabled' : ''}>‹ Prev</button>`;
+        html += `<span>Rows ${start}–${end} of ${numRows} (page ${page + 1} of ${pages})</span>`;
+        html += `<button class="btn-secondary" data-page="${page + 1}"${page === pages - 1 ? ' disabled' : ''}>Next ›</button>`;
+        html += '</div>';
         return html;
     }
 
@@ -97,73 +371,132 @@ class TruthTableGenerator {
     generateFromOutputs(variables, outputs, dontCares = []) {
         const numVars = variables.length;
         const numRows = Math.pow(2, numVars);
+        this.checkSize(numVars);
 
         if (outputs.length !== numRows) {
             throw new Error(`Expected ${numRows} output values, got ${outputs.length}`);
         }
 
-        const rows = [];
-        const minterms = [];
-        const maxterms = [];
-        const dontCareTerms = [];
+        const onSet = BitSet.fromPredicate(numRows, i => outputs[i] !== 'X' && Boolean(outputs[i]));
+        const dcSet = BitSet.fromIndices(numRows, dontCares);
+        outputs.forEach((output, i) => {
+            if (output === 'X') dcSet.add(i);
+        });
 
-        for (let i = 0; i < numRows; i++) {
-            const binary = i.toString(2).padStart(numVars, '0');
-            const values = {};
+        return this.createTable(variables, onSet, dcSet);
+    }
 
-            variables.forEach((variable, index) => {
-                values[variable] = parseInt(binary[index]);
-            });
+    /**
+     * Import a truth table from CSV
+     *
+     * The header row names the inputs, then the outputs. Output values are
+     * 0, 1, or X / - for don't care. Rows may come in any order: each is
+     * matched to its row index by its input values. Every input combination
+     * must appear exactly once.
+     *
+     * @param {string} text - CSV text
+     * @param {Object} options - {inputs: n} number of input columns; inferred
+     *                           from the row count when not given
+     * @returns {Object} - {variables, outputNames, outputs} where outputs holds
+     *                     one array of row values per output, indexed by row
+     */
+    parseCSV(text, options = {}) {
+        const lines = text.split(/\r?\n/)
+            .map((line, i) => ({ number: i + 1, fields: line.split(',').map(f => f.trim().replace(/^"(.*)"$/, '$1')) }))
+            .filter(line => line.fields.some(field => field !== ''));
 
-            let output = outputs[i];
+        if (lines.length < 2) {
+            throw new Error('CSV needs a header row and at least one data row');
+        }
 
-            // Handle don't care
-            if (output === 'X' || dontCares.includes(i)) {
-                output = 'X';
-                dontCareTerms.push(i);
-            } else {
-                output = output ? 1 : 0;
-                if (output === 1) {
-                    minterms.push(i);
-                } else {
-                    maxterms.push(i);
-                }
+        const header = lines[0].fields;
+        const data = lines.slice(1);
+
+        // Without a given count, 2^inputs rows must cover the data rows
+        const numInputs = options.inputs || Math.max(1, Math.ceil(Math.log2(data.length)));
+        if (numInputs >= header.length) {
+            throw new Error(`CSV has ${header.length} columns; expected ${numInputs} inputs and at least one output`);
+        }
+        this.checkSize(numInputs);
+
+        const variables = header.slice(0, numInputs);
+        const outputNames = header.slice(numInputs);
+        [...variables, ...outputNames].forEach((name, i) => {
+            if (name === '') throw new Error(`Column ${i + 1} has no name in the header row`);
+        });
+
+        const numRows = Math.pow(2, numInputs);
+        const outputs = outputNames.map(() => new Array(numRows));
+        const seen = new Map();
+        const problems = [];
+
+        data.forEach(({ number, fields }) => {
+            if (fields.length !== header.length) {
+                problems.push(`line ${number} has ${fields.length} values, expected ${header.length}`);
+                return;
+            }
+
+            const inputs = fields.slice(0, numInputs);
+            if (inputs.some(value => value !== '0' && value !== '1')) {
+                problems.push(`line ${number} has an input that is not 0 or 1`);
+                return;
             }
 
-            rows.push({
-                index: i,
-                inputs: values,
-                output: output,
-                binary: binary,
-                isDontCare: output === 'X'
+            const index = parseInt(inputs.join(''), 2);
+            if (seen.has(index)) {
+                problems.push(`line ${number} repeats inputs ${inputs.join('')} from line ${seen.get(index)}`);
+                return;
+            }
+            seen.set(index, number);
+
+            fields.slice(numInputs).forEach((value, col) => {
+                const upper = value.toUpperCase();
+                if (value === '0' || value === '1') {
+                    outputs[col][index] = Number(value);
+                } else if (upper === 'X' || value === '-') {
+                    outputs[col][index] = 'X';
+                } else {
+                    problems.push(`line ${number} has output '${value}' for ${outputNames[col]}; use 0, 1, X or -`);
+                }
             });
+        });
+
+        if (problems.length === 0 && seen.size < numRows) {
+            const missing = Array.from({ length: numRows }, (_, i) => i).filter(i => !seen.has(i));
+            const shown = missing.slice(0, 8).map(i => i.toString(2).padStart(numInputs, '0'));
+            problems.push(`missing input combination${missing.length === 1 ? '' : 's'} ` +
+                shown.join(', ') + (missing.length > shown.length ? ` and ${missing.length - shown.length} more` : ''));
         }
 
-        return {
-            variables: variables,
-            rows: rows,
-            minterms: minterms,
-            maxterms: maxterms,
-            dontCares: dontCareTerms,
-            numVars: numVars
-        };
+        if (problems.length > 0) {
+            const more = problems.length > 5 ? ` (and ${problems.length - 5} more problems)` : '';
+            throw new Error(`Invalid CSV: ${problems.slice(0, 5).join('; ')}${more}`);
+        }
+
+        return { variables, outputNames, outputs };
     }
 
     /**
      * Export truth table to CSV format
      * @param {Object} truthTable - Truth table data
+     * @param {Object} options - {subexpressions: boolean} to add the subexpression columns
      * @returns {string} - CSV string
      */
-    toCSV(truthTable) {
+    toCSV(truthTable, options = {}) {
         const { variables, rows } = truthTable;
+        const extra = this.extraColumns(truthTable, options);
+
+        // Labels such as X ⊕ Y are safe, but quote any with a comma or quote
+        const field = text => /[",]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 
         // Headers
-        let csv = variables.join(',') + ',Output\n';
+        let csv = [...variables, ...extra.map(column => field(column.label))].join(',') + ',Output\n';
 
         // Rows
         rows.forEach(row => {
-            const inputs = variables.map(v => row.inputs[v]).join(',');
-            csv += `${inputs},${row.output}\n`;
+            const inputs = variables.map(v => row.inputs[v]);
+            const steps = extra.map(column => column.values.has(row.index) ? 1 : 0);
+            csv += `${[...inputs, ...steps].join(',')},${row.output}\n`;
         });
 
         return csv;
@@ -172,22 +505,182 @@ class TruthTableGenerator {
     /**
      * Export truth table to plain text
      * @param {Object} truthTable - Truth table data
+     * @param {Object} options - {subexpressions: boolean} to add the subexpression columns
      * @returns {string} - Text string
      */
-    toText(truthTable) {
+    toText(truthTable, options = {}) {
         const { variables, rows } = truthTable;
+        const extra = this.extraColumns(truthTable, options);
 
         // Calculate column widths
         const colWidth = 4;
+        const widths = extra.map(column => Math.max(colWidth, column.label.length + 2));
 
         // Headers
-        let text = variables.map(v => v.padEnd(colWidth)).join('') + 'Output\n';
-        text += '-'.repeat((variables.length + 1) * colWidth) + '\n';
+        let text = variables.map(v => v.padEnd(colWidth)).join('') +
+            extra.map((column, i) => column.label.padEnd(widths[i])).join('') + 'Output\n';
+        text += '-'.repeat((variables.length + 1) * colWidth + widths.reduce((a, b) => a + b, 0)) + '\n';
 
         // Rows
         rows.forEach(row => {
             const inputs = variables.map(v => String(row.inputs[v]).padEnd(colWidth)).join('');
-            text += `${inputs}${row.output}\n`;
+            const steps = extra.map((column, i) => String(column.values.has(row.index) ? 1 : 0).padEnd(widths[i])).join('');
+            text += `${inputs}${steps}${row.output}\n`;
+        });
+
+        return text;
+    }
+
+    /**
+     * Line up one or more tables over the same inputs as output columns
+     * @param {Object|Array} tables - A truth table, or an array of tables with the same variables
+     * @param {Array} names - Output names (default F, G, H...)
+     * @returns {Object} - {variables, numRows, outputs: [{name, table}]}
+     */
+    outputColumns(tables, names = []) {
+        tables = Array.isArray(tables) ? tables : [tables];
+        if (tables.length === 0) {
+            throw new Error('No truth tables to export');
+        }
+
+        const { variables } = tables[0];
+        tables.forEach(table => {
+            if (table.variables.join(',') !== variables.join(',')) {
+                throw new Error('All outputs must share the same input variables');
+            }
+        });
+
+        return {
+            variables: variables,
+            numRows: tables[0].onSet.size,
+            outputs: tables.map((table, i) => ({
+                name: names[i] || String.fromCharCode(70 + i), // F, G, H...
+                table: table
+            }))
+        };
+    }
+
+    /**
+     * Export truth table to a Markdown (GitHub) table
+     * @param {Object|Array} tables - A truth table, or an array of tables with the same variables
+     * @param {Array} names - Output names (default F, G, H...)
+     * @returns {string} - Markdown string
+     */
+    toMarkdown(tables, names = []) {
+        const { variables, numRows, outputs } = this.outputColumns(tables, names);
+        const cell = text => String(text).replace(/\|/g, '\\|');
+        const line = cells => `| ${cells.join(' | ')} |\n`;
+
+        let markdown = line([...variables, ...outputs.map(output => output.name)].map(cell));
+        markdown += line(new Array(variables.length + outputs.length).fill(':-:'));
+
+        for (let i = 0; i < numRows; i++) {
+            const binary = i.toString(2).padStart(variables.length, '0');
+            markdown += line([...binary, ...outputs.map(output => this.getOutput(output.table, i))]);
+        }
+
+        return markdown;
+    }
+
+    /**
+     * Export truth table to a LaTeX tabular using the booktabs rules
+     * (\toprule, \cmidrule, \midrule, \bottomrule)
+     * @param {Object|Array} tables - A truth table, or an array of tables with the same variables
+     * @param {Array} names - Output names (default F, G, H...)
+     * @returns {string} - LaTeX string
+     */
+    toLaTeX(tables, names = []) {
+        const { variables, numRows, outputs } = this.outputColumns(tables, names);
+        const numInputs = variables.length;
+        const numCols = numInputs + outputs.length;
+        const line = cells => `${cells.join(' & ')} \\\\\n`;
+
+        let latex = `\\begin{tabular}{${'c'.repeat(numInputs)}@{\\qquad}${'c'.repeat(outputs.length)}}\n`;
+        latex += '\\toprule\n';
+        latex += line([
+            `\\multicolumn{${numInputs}}{c}{Inputs}`,
+            `\\multicolumn{${outputs.length}}{c}{Output${outputs.length === 1 ? '' : 's'}}`
+        ]);
+        latex += `\\cmidrule(lr){1-${numInputs}} \\cmidrule(lr){${numInputs + 1}-${numCols}}\n`;
+        latex += line([...variables, ...outputs.map(output => output.name)].map(name => this.latexName(name)));
+        latex += '\\midrule\n';
+
+        for (let i = 0; i < numRows; i++) {
+            const binary = i.toString(2).padStart(numInputs, '0');
+            latex += line([...binary, ...outputs.map(output => this.getOutput(output.table, i))]);
+        }
+
+        latex += '\\bottomrule\n';
+        latex += '\\end{tabular}\n';
+
+        return latex;
+    }
+
+    /**
+     * Typeset a variable name: letters with a numeric subscript in math
+     * mode (x_0 -> $x_{0}$), longer names upright with specials escaped
+     * @param {string} name - Variable or output name
+     * @returns {string} - LaTeX
+     */
+    latexName(name) {
+        const match = name.match(/^([A-Za-z])_?(\d*)$/);
+        if (match) {
+            return match[2] ? `$${match[1]}_{${match[2]}}$` : `$${name}$`;
+        }
+        const escaped = name.replace(/[\\{}&%$#_~^]/g, char => {
+            if (char === '\\') return '\\textbackslash{}';
+            if (char === '~') return '\\textasciitilde{}';
+            if (char === '^') return '\\textasciicircum{}';
+            return '\\' + char;
+        });
+        return `\\textit{${escaped}}`;
+    }
+
+    /**
+     * Export the on and don't-care rows in cube notation
+     *
+     * Each line is the input bits followed by one character per output
+     * (1 on, - don't care, 0 off), as in a PLA file. The rows that agree
+     * on every output are merged into a minimized set of cubes, which may
+     * overlap each other but not rows with other outputs (the rows 0xx1
+     * of F = A'D become 0--1). The set is a minimum unless there are too
+     * many choices to search; see KMapSimplifier.findMinimumCover(). Rows
+     * that are 0 for every output are left out. Cubes are listed by their
+     * first row.
+     *
+     * @param {Object|Array} tables - A truth table, or an array of tables with the same variables
+     * @param {Array} names - Output names (default F, G, H...)
+     * @returns {string} - Cube listing
+     */
+    toCubes(tables, names = []) {
+        const { variables, numRows, outputs } = this.outputColumns(tables, names);
+        const numVars = variables.length;
+        const symbols = { 1: '1', 0: '0', X: '-' };
+        const outputBits = i => outputs.map(output => symbols[this.getOutput(output.table, i)]).join('');
+        const allOff = '0'.repeat(outputs.length);
+
+        // Rows by the output characters they share
+        const rowsByBits = new Map();
+        for (let i = 0; i < numRows; i++) {
+            const bits = outputBits(i);
+            if (bits === allOff) continue;
+            if (!rowsByBits.has(bits)) rowsByBits.set(bits, []);
+            rowsByBits.get(bits).push(i);
+        }
+
+        // Each set of rows is covered by its prime implicants, which never
+        // reach rows with other outputs
+        const simplifier = new KMapSimplifier();
+        const cubes = [];
+        rowsByBits.forEach((rows, bits) => {
+            const { cover } = simplifier.findMinimumCover(simplifier.quineMcCluskey(rows, numVars), rows);
+            cover.forEach(pi => cubes.push({ binary: pi.binary, first: Math.min(...pi.minterms), bits }));
+        });
+        cubes.sort((a, b) => a.first - b.first || a.binary.localeCompare(b.binary));
+
+        let text = `# ${variables.join(' ')} | ${outputs.map(output => output.name).join(' ')}\n`;
+        cubes.forEach(cube => {
+            text += `${cube.binary} ${cube.bits}\n`;
         });
 
         return text;
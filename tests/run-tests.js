@@ -6,6 +6,11 @@ const BooleanParser = require('../js/parser.js');
 const TruthTableGenerator = require('../js/truthTable.js');
 const KarnaughMap = require('../js/kmap.js');
 const KMapSimplifier = require('../js/simplifier.js');
+const SchematicGenerator = require('../js/schematic.js');
+const EquivalenceChecker = require('../js/equivalence.js');
+const AlgebraicSimplifier = require('../js/algebra.js');
+const BitSet = require('../js/bitset.js');
+const PLAFormat = require('../js/pla.js');
 
 class TestRunner {
     constructor() {
@@ -86,6 +91,368 @@ runner.test('Parser: Evaluate simple expression', (t) => {
     t.assertEqual(result, 1);
 });
 
+runner.test('Parser: Build expression tree with NOT > AND > XOR > OR precedence', (t) => {
+    const parser = new BooleanParser();
+    const result = parser.parse("A + B ^ CD'");
+
+    t.assertEqual(result.tree.operator, 'OR');
+    t.assertEqual(result.tree.right.operator, 'XOR');
+    t.assertEqual(result.tree.right.right.operator, 'AND');
+    t.assertEqual(result.tree.right.right.right, { type: 'not', operand: { type: 'variable', name: 'D' } });
+});
+
+runner.test('Parser: XOR binds looser than AND', (t) => {
+    const parser = new BooleanParser();
+    const tree = parser.parse('A^BC').tree;
+
+    // A ^ (B·C): with A=1, B=1, C=0 the result is 1
+    t.assertEqual(parser.evaluate(tree, { A: 1, B: 1, C: 0 }), 1);
+    t.assertEqual(parser.evaluate(tree, { A: 1, B: 1, C: 1 }), 0);
+});
+
+runner.test('Parser: Reject malformed input instead of evaluating it', (t) => {
+    const parser = new BooleanParser();
+
+    t.assertEqual(parser.parse('A + (B').valid, false);
+    t.assertEqual(parser.parse('A + ').valid, false);
+    // Rejected at the ';', whatever the digits inside parse as
+    const injected = parser.parse('alert(1);');
+    t.assertEqual(injected.valid, false);
+    t.assertEqual([injected.code, injected.position], ['UNKNOWN_SYMBOL', 8]);
+    t.assertEqual(parser.validate('A + B'), true);
+});
+
+runner.test('Parser: Structured errors with code and position', (t) => {
+    const parser = new BooleanParser();
+    const code = expression => {
+        const diagnostic = parser.diagnose(expression);
+        return [diagnostic.code, diagnostic.position, diagnostic.length];
+    };
+
+    t.assertEqual(code('A + (B'), ['UNBALANCED_PAREN', 4, 1]);
+    t.assertEqual(code('A + B)'), ['UNBALANCED_PAREN', 5, 1]);
+    t.assertEqual(code('AB OR'), ['DANGLING_OPERATOR', 3, 2]);
+    t.assertEqual(code('* A'), ['DANGLING_OPERATOR', 0, 1]);
+    t.assertEqual(code('A + * B'), ['EMPTY_OPERAND', 4, 1]);
+    t.assertEqual(code('A() + B'), ['EMPTY_OPERAND', 1, 2]);
+    t.assertEqual(code('A # B'), ['UNKNOWN_SYMBOL', 2, 1]);
+    t.assertEqual(code('F(A,B) = A + C'), ['UNDECLARED_VARIABLE', 13, 1]);
+    t.assertEqual(parser.diagnose("A'B + C"), null);
+
+    const parsed = parser.parse('A + ');
+    t.assertEqual(parsed.valid, false);
+    t.assertEqual(parsed.error, "Operator '+' at position 2 has no right operand");
+});
+
+runner.test('Parser: Suggest fixes for obvious mistakes', (t) => {
+    const parser = new BooleanParser();
+    const fix = expression => parser.diagnose(expression).suggestion.expression;
+
+    t.assertEqual(fix("(A + B'C"), "(A + B'C)");
+    t.assertEqual(fix('A + B) + C'), 'A + B + C');
+    t.assertEqual(fix('A + + B'), 'A + B');
+    t.assertEqual(fix('AB +'), 'AB');
+    t.assertEqual(fix('A × B'), 'A · B');
+    t.assertEqual(parser.diagnose('A # B').suggestion, null);
+});
+
+runner.test('Parser: Format expression tree', (t) => {
+    const parser = new BooleanParser();
+    const result = parser.parse("(A+B)(C ⊕ D) + ~E");
+
+    t.assertEqual(parser.format(result.tree), "(A + B)(C ⊕ D) + E'");
+});
+
+runner.test('Parser: Indexed variable names in default mode', (t) => {
+    const parser = new BooleanParser();
+    const result = parser.parse("A1B' + x_0 A2");
+
+    t.assertEqual(result.variables, ['A1', 'A2', 'B', 'x_0']);
+    t.assertEqual(parser.evaluate(result.tree, { A1: 1, B: 0, x_0: 0, A2: 0 }), 1);
+});
+
+runner.test('Parser: Multi-character names in strict mode', (t) => {
+    const parser = new BooleanParser();
+    const result = parser.parse("sel en + sel'·rst", { strict: true });
+
+    t.assertEqual(result.variables, ['en', 'rst', 'sel']);
+    t.assertEqual(parser.format(result.tree), "sel·en + sel'·rst");
+
+    // Without strict mode the same letters are single-letter variables
+    t.assertEqual(parser.parse('sel').variables, ['e', 'l', 's']);
+});
+
+runner.test('Parser: Complement of parenthesized subexpressions', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+
+    // (A+B)' and ~(A+B) are both NOR: only row 00 is 1
+    t.assertEqual(ttGen.generate(parser.parse("(A+B)'")).minterms, [0]);
+    t.assertEqual(ttGen.generate(parser.parse('~(A+B)')).minterms, [0]);
+
+    // ~(AB) and (AB)' are NAND
+    t.assertEqual(ttGen.generate(parser.parse('~(AB)')).minterms, [0, 1, 2]);
+    t.assertEqual(ttGen.generate(parser.parse("(AB)'")).minterms, [0, 1, 2]);
+
+    // Postfix complement binds to the parenthesized group, not the last letter
+    t.assertEqual(ttGen.generate(parser.parse("A(B+C)'")).minterms, [4]);
+});
+
+runner.test('Parser: Double negation', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+
+    t.assertEqual(ttGen.generate(parser.parse("A''B")).minterms, [3]);
+    t.assertEqual(ttGen.generate(parser.parse('!!A + ~~B')).minterms, [1, 2, 3]);
+    t.assertEqual(ttGen.generate(parser.parse("~A'B")).minterms, [3]);
+    t.assertEqual(parser.format(parser.parse("((A+B)')'").tree), "(A + B)''");
+});
+
+runner.test('Parser: Constant literals 0 and 1', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+
+    t.assertEqual(ttGen.generate(parser.parse('A·1 + B·0')).minterms, [2, 3]);
+    t.assertEqual(ttGen.generate(parser.parse("A + 1'")).minterms, [1]);
+    t.assertEqual(ttGen.generate(parser.parse('(A + 1)B')).minterms, [1, 3]);
+    t.assertEqual(ttGen.generate(parser.parse('A ^ 1')).minterms, [0]);
+    t.assertEqual(parser.parse('A*1 + 0').variables, ['A']);
+    t.assertEqual(parser.format(parser.parse('A*1 + 0').tree), 'A·1 + 0');
+    t.assertEqual(parser.parse('A + 2').valid, false);
+});
+
+runner.test('Parser: NAND, NOR, XNOR, implication and equivalence', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const minterms = expression => ttGen.generate(parser.parse(expression)).minterms;
+
+    t.assertEqual(minterms('A ↑ B'), [0, 1, 2]);
+    t.assertEqual(minterms('A ↓ B'), [0]);
+    t.assertEqual(minterms('A ⊙ B'), [0, 3]);
+    t.assertEqual(minterms('A → B'), [0, 1, 3]);
+    t.assertEqual(minterms('A => B'), [0, 1, 3]);
+    t.assertEqual(minterms('A ↔ B'), [0, 3]);
+    t.assertEqual(minterms('A <=> B'), [0, 3]);
+});
+
+runner.test('Parser: Extended operator precedence and associativity', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const minterms = expression => ttGen.generate(parser.parse(expression)).minterms;
+
+    // Implication is right-associative and binds looser than OR
+    t.assertEqual(minterms('A → B → C'), minterms('A → (B → C)'));
+    t.assertEqual(minterms('A → B + C'), minterms('A → (B + C)'));
+
+    // Equivalence is the loosest operator
+    t.assertEqual(minterms('A ↔ B → C'), minterms('A ↔ (B → C)'));
+
+    // NAND and NOR are left-associative at the AND and OR levels
+    t.assertEqual(minterms('A ↑ B ↑ C'), minterms('(A ↑ B) ↑ C'));
+    t.assertEqual(minterms('A ↓ B + C'), minterms('(A ↓ B) + C'));
+    t.assertEqual(minterms('A + B ↑ C'), minterms('A + (B ↑ C)'));
+});
+
+runner.test('Parser: Spelled-out word operators', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const minterms = (expression, options) => ttGen.generate(parser.parse(expression, options)).minterms;
+
+    t.assertEqual(minterms('A AND NOT B OR C'), minterms("AB' + C"));
+    t.assertEqual(minterms('A NAND B'), minterms('A ↑ B'));
+    t.assertEqual(minterms('A NOR B XNOR C'), minterms('A ↓ (B ⊙ C)'));
+    t.assertEqual(minterms('A XOR B'), minterms('A ^ B'));
+    t.assertEqual(minterms('sel AND NOT en', { strict: true }), [1]);
+    t.assertEqual(parser.parse('sel AND NOT en', { strict: true }).variables, ['en', 'sel']);
+
+    // Words must stand alone: ANDY is four variables
+    t.assertEqual(parser.parse('ANDY').variables, ['A', 'D', 'N', 'Y']);
+});
+
+runner.test('Parser: Pretty-print extended operators', (t) => {
+    const parser = new BooleanParser();
+    const format = expression => parser.format(parser.parse(expression).tree);
+
+    t.assertEqual(format('A NAND (B NOR C)'), 'A ↑ (B ↓ C)');
+    t.assertEqual(format('(A => B) => C'), '(A → B) → C');
+    t.assertEqual(format('A => B => C'), 'A → B → C');
+    t.assertEqual(format('A XNOR B <=> C'), 'A ⊙ B ↔ C');
+    t.assertEqual(parser.parse('A NAND B <=> C').evaluable, 'A↑B<=>C');
+    t.assertEqual(parser.evaluate('A↑B<=>C', { A: 1, B: 1, C: 0 }), 1);
+});
+
+runner.test('Parser: Sigma minterm list with header and don\'t cares', (t) => {
+    const parser = new BooleanParser();
+    const parsed = parser.parse('F(A,B,C,D) = Σm(1,3,5,7) + d(2,6)');
+
+    t.assertTrue(parsed.valid);
+    t.assertEqual(parsed.name, 'F');
+    t.assertEqual(parsed.variables, ['A', 'B', 'C', 'D']);
+    t.assertEqual(parsed.spec.minterms, [1, 3, 5, 7]);
+    t.assertEqual(parsed.spec.dontCares, [2, 6]);
+    t.assertEqual(parsed.spec.maxterms.length, 10);
+});
+
+runner.test('Parser: Pi maxterm list and ASCII spellings', (t) => {
+    const parser = new BooleanParser();
+
+    const pi = parser.parse('ΠM(0,4,8)');
+    t.assertEqual(pi.variables, ['A', 'B', 'C', 'D']);
+    t.assertEqual(pi.spec.maxterms, [0, 4, 8]);
+    t.assertEqual(pi.spec.minterms.length, 13);
+
+    const sum = parser.parse('G(x,y,z) = sum m(0, 7) + d(3)');
+    t.assertEqual(sum.variables, ['x', 'y', 'z']);
+    t.assertEqual(sum.spec.minterms, [0, 7]);
+    t.assertEqual(sum.spec.dontCares, [3]);
+
+    const prod = parser.parse('F(A,B) = prod M(0) d(3)');
+    t.assertEqual(prod.spec.minterms, [1, 2]);
+    t.assertEqual(prod.spec.dontCares, [3]);
+});
+
+runner.test('Parser: Reject invalid minterm lists', (t) => {
+    const parser = new BooleanParser();
+
+    t.assertEqual(parser.parse('F(A,B) = Σm(1,4)').valid, false);
+    t.assertEqual(parser.parse('F(A,B) = Σm(1,2) + d(2)').valid, false);
+    t.assertEqual(parser.parse('F(A,A) = Σm(1)').valid, false);
+    t.assertEqual(parser.parse('Σm(1,x)').valid, false);
+});
+
+runner.test('Parser: Variable order from a function header', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+
+    const parsed = parser.parse("F(Z,Y,X) = Y + X'Z");
+    t.assertTrue(parsed.valid);
+    t.assertEqual(parsed.name, 'F');
+    t.assertEqual(parsed.variables, ['Z', 'Y', 'X']);
+
+    // Z is the MSB: row 4 is Z=1,Y=0,X=0 and X'Z holds there
+    const tt = ttGen.generate(parsed);
+    t.assertEqual(tt.minterms, [2, 3, 4, 6, 7]);
+    t.assertEqual(tt.rows[4].inputs, { Z: 1, Y: 0, X: 0 });
+    t.assertTrue(ttGen.toCSV(tt).startsWith('Z,Y,X,Output'));
+});
+
+runner.test('Parser: Variable order from options and unused declared variables', (t) => {
+    const parser = new BooleanParser();
+
+    const parsed = parser.parse('A + B', { variables: ['C', 'B', 'A'] });
+    t.assertEqual(parsed.variables, ['C', 'B', 'A']);
+
+    // The header wins over the option
+    t.assertEqual(parser.parse('F(A,B) = A + B', { variables: ['B', 'A'] }).variables, ['A', 'B']);
+
+    // Without either, variables are sorted
+    t.assertEqual(parser.parse('Y + X').variables, ['X', 'Y']);
+
+    t.assertEqual(parser.parse('F(A,B) = A + C').valid, false);
+    t.assertEqual(parser.parse('A + C', { variables: ['A', 'B'] }).valid, false);
+    t.assertEqual(parser.parse('A + B', { variables: ['A', 'B', 'A'] }).valid, false);
+});
+
+runner.test('KMap: Axes follow the declared variable order', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+
+    const kmap = kmapGen.generate(ttGen.generate(parser.parse("F(D,C,B,A) = A'B")));
+    t.assertEqual(kmap.rowVars, ['D', 'C']);
+    t.assertEqual(kmap.colVars, ['B', 'A']);
+    t.assertEqual(kmap.minterms, [2, 6, 10, 14]);
+});
+
+runner.test('Integration: Minterm list through truth table, K-map and simplifier', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+    const simplifier = new KMapSimplifier();
+
+    const parsed = parser.parse('F(A,B,C) = Σm(1,3,5) + d(7)');
+    const tt = ttGen.generate(parsed);
+    const kmap = kmapGen.generate(tt);
+    const simplified = simplifier.simplify(kmap);
+
+    t.assertEqual(tt.minterms, [1, 3, 5]);
+    t.assertEqual(tt.dontCares, [7]);
+    t.assertEqual(tt.rows[7].output, 'X');
+    t.assertEqual(simplified.sop, 'C');
+});
+
+runner.test('Integration: Multi-character names through K-map, SOP and schematic', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+    const simplifier = new KMapSimplifier();
+    const schematicGen = new SchematicGenerator();
+
+    const parsed = parser.parse("sel en + sel' rst", { strict: true });
+    const tt = ttGen.generate(parsed);
+    const kmap = kmapGen.generate(tt);
+    const simplified = simplifier.simplify(kmap);
+
+    t.assertTrue(ttGen.renderHTML(tt).includes('<th>sel</th>'));
+    t.assertTrue(kmapGen.renderHTML(kmap).includes('en\\rst,sel'));
+
+    const terms = schematicGen.parseSOPTerms(simplified.sop, tt.variables);
+    const names = terms.map(term => term.literals.map(l => l.variable + (l.inverted ? "'" : '')).join('·')).sort();
+    t.assertEqual(names, ["en·sel", "rst·sel'"]);
+});
+
+runner.test('Parser: Several named equations over shared variables', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+
+    const system = parser.parseSystem("F = A'B + C; G = A ^ B ^ D;");
+    t.assertTrue(system.valid);
+    t.assertEqual(system.variables, ['A', 'B', 'C', 'D']);
+    t.assertEqual(system.equations.map(e => e.name), ['F', 'G']);
+    t.assertEqual(system.equations[0].parsed.variables, ['A', 'B', 'C', 'D']);
+    t.assertEqual(system.equations[0].parsed.original, "F = A'B + C");
+
+    // Tables line up row for row
+    const f = ttGen.generate(system.equations[0].parsed);
+    const g = ttGen.generate(system.equations[1].parsed);
+    t.assertEqual(f.onSet.size, g.onSet.size);
+    t.assertEqual(g.minterms, [1, 3, 4, 6, 8, 10, 13, 15]);
+
+    // A single bare expression parses as parse() would
+    const single = parser.parseSystem("A'B + C");
+    t.assertEqual(single.equations.length, 1);
+    t.assertEqual(single.equations[0].name, null);
+    t.assertEqual(single.equations[0].parsed.variables, ['A', 'B', 'C']);
+});
+
+runner.test('Parser: Equation headers and minterm lists are renumbered to the shared order', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+
+    // G(B,A): row 1 is B=0, A=1; over (B,A,C) that is rows 2 and 3
+    const system = parser.parseSystem('G(B,A) = Σm(1) + d(3); F = C');
+    t.assertEqual(system.variables, ['B', 'A', 'C']);
+    const g = ttGen.generate(system.equations[0].parsed);
+    t.assertEqual(g.minterms, [2, 3]);
+    t.assertEqual(g.dontCares, [6, 7]);
+});
+
+runner.test('Parser: Errors in equations point into the whole input', (t) => {
+    const parser = new BooleanParser();
+
+    const unbalanced = parser.parseSystem('F = A; G = (B + C');
+    t.assertEqual(unbalanced.code, 'UNBALANCED_PAREN');
+    t.assertEqual(unbalanced.position, 11);
+    t.assertTrue(unbalanced.error.includes('at position 11'));
+    t.assertEqual(unbalanced.suggestion.expression, 'F = A; G = (B + C)');
+
+    const unnamed = parser.diagnoseSystem('F = A; B + C');
+    t.assertEqual(unnamed.code, 'INVALID_DECLARATION');
+    t.assertEqual(unnamed.position, 7);
+
+    t.assertTrue(parser.parseSystem('F = A; F = B').error.includes('more than once'));
+});
+
 // ===== Truth Table Tests =====
 runner.test('TruthTable: Generate 2-variable table', (t) => {
     const parser = new BooleanParser();
@@ -128,6 +495,185 @@ runner.test('TruthTable: Export to CSV', (t) => {
     t.assertTrue(csv.includes('1,1,1')); // Last row should be 1,1,1
 });
 
+runner.test('TruthTable: Bit sets for on, off and don\'t-care rows', (t) => {
+    const ttGen = new TruthTableGenerator();
+    const tt = ttGen.generateFromOutputs(['A', 'B'], [0, 1, 'X', 1]);
+
+    t.assertEqual(tt.onSet.toArray(), [1, 3]);
+    t.assertEqual(tt.offSet.toArray(), [0]);
+    t.assertEqual(tt.dcSet.toArray(), [2]);
+    t.assertEqual(tt.minterms, [1, 3]);
+    t.assertEqual(tt.dontCares, [2]);
+
+    // Rows are only built when first read
+    t.assertTrue(typeof Object.getOwnPropertyDescriptor(tt, 'rows').get === 'function');
+    t.assertEqual(tt.rows[2], { index: 2, inputs: { A: 1, B: 0 }, output: 'X', binary: '10', isDontCare: true });
+    t.assertEqual(ttGen.getOutput(tt, 3), 1);
+});
+
+runner.test('TruthTable: Bit-parallel evaluation matches row-by-row evaluation', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const parsed = parser.parse("(A ↑ B) ⊕ C'D + (E → A) ↔ (B ↓ F) + 1·G");
+    const tt = ttGen.generate(parsed);
+
+    for (let i = 0; i < 128; i++) {
+        t.assertEqual(ttGen.getOutput(tt, i), parser.evaluate(parsed.tree, tt.rows[i].inputs));
+    }
+});
+
+runner.test('BitSet: Word-wise operations past one word', (t) => {
+    const a = BitSet.fromIndices(40, [0, 31, 32, 39]);
+    const b = BitSet.fromIndices(40, [31, 33]);
+
+    t.assertEqual(a.count(), 4);
+    t.assertEqual(a.and(b).toArray(), [31]);
+    t.assertEqual(a.or(b).toArray(), [0, 31, 32, 33, 39]);
+    t.assertEqual(a.minus(b).toArray(), [0, 32, 39]);
+    t.assertEqual(a.not().count(), 36); // unused bits of the last word stay clear
+    t.assertEqual(a.has(40), false);
+    t.assertTrue(a.xor(a).isEmpty());
+    t.assertTrue(a.and(b).isSubsetOf(b));
+    t.assertEqual(a.isSubsetOf(b), false);
+});
+
+runner.test('TruthTable: Import CSV with rows in any order', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+
+    const table = ttGen.parseCSV('A,B,F,G\n1,1,1,X\n0,0,0,1\n1,0,-,0\n0,1,1,x\n');
+    t.assertEqual(table.variables, ['A', 'B']);
+    t.assertEqual(table.outputNames, ['F', 'G']);
+    t.assertEqual(table.outputs, [[0, 1, 'X', 1], [1, 'X', 0, 'X']]);
+
+    // Round trip through toCSV, with the input count given
+    const original = ttGen.generate(parser.parse("A'B + C"));
+    const imported = ttGen.parseCSV(ttGen.toCSV(original), { inputs: 3 });
+    const tt = ttGen.generateFromOutputs(imported.variables, imported.outputs[0]);
+    t.assertEqual(tt.minterms, original.minterms);
+});
+
+runner.test('TruthTable: Reject incomplete or inconsistent CSV', (t) => {
+    const ttGen = new TruthTableGenerator();
+    const error = text => {
+        try {
+            ttGen.parseCSV(text);
+        } catch (e) {
+            return e.message;
+        }
+        return '';
+    };
+
+    t.assertTrue(error('A,B,F\n0,0,1\n0,1,0\n1,0,1\n').includes('missing input combination 11'));
+    t.assertTrue(error('A,B,F\n0,0,1\n0,1,0\n0,1,1\n1,1,0\n').includes('line 4 repeats inputs 01 from line 3'));
+    t.assertTrue(error('A,B,F\n0,0,1\n0,1\n1,0,1\n1,1,0\n').includes('line 3 has 2 values, expected 3'));
+    t.assertTrue(error('A,B,F\n0,0,1\n0,1,2\n1,0,1\n1,1,0\n').includes("output '2' for F"));
+    t.assertTrue(error('A,B,F\n0,0,1\n0,X,0\n1,0,1\n1,1,0\n').includes('input that is not 0 or 1'));
+});
+
+runner.test('TruthTable: Page large tables and enforce the variable limit', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const tt = ttGen.generate(parser.parse('ABCDEFG + H'));
+
+    t.assertEqual(tt.rows.length, 256);
+    t.assertEqual(ttGen.pageCount(tt), 4);
+
+    const html = ttGen.renderHTML(tt, 1);
+    t.assertEqual((html.match(/<tr>/g) || []).length, 65); // header + 64 rows
+    t.assertTrue(html.includes('Rows 64–127 of 256'));
+
+    // The same pager serves tables rendered elsewhere, such as several outputs
+    t.assertEqual(ttGen.renderPager(0, 64), '');
+    t.assertTrue(ttGen.renderPager(3, 256).includes('Rows 192–255 of 256 (page 4 of 4)'));
+    t.assertTrue(ttGen.renderPager(3, 256).includes('data-page="4" disabled'));
+
+    let message = '';
+    try {
+        ttGen.generate(parser.parse('ABCDEFGHIJKLM'));
+    } catch (error) {
+        message = error.message;
+    }
+    t.assertTrue(message.includes('at most 12 variables'));
+});
+
+runner.test('TruthTable: Subexpression columns in groups', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const tt = ttGen.generate(parser.parse("A'B + AC"));
+
+    t.assertEqual(tt.subexpressions.map(c => [c.label, c.group, c.head]),
+        [["A'", 0, false], ["A'B", 0, true], ['AC', 1, true]]);
+    t.assertEqual(tt.subexpressions[1].values.toArray(), [2, 3]);
+
+    // Chains of one operator are split into all their operands; repeats are dropped
+    const chain = ttGen.generate(parser.parse("AB + A'C + AB + D"));
+    t.assertEqual(chain.subexpressions.map(c => c.label), ['AB', "A'", "A'C"]);
+
+    // Off unless requested
+    t.assertEqual(ttGen.toCSV(tt).split('\n')[0], 'A,B,C,Output');
+    const csv = ttGen.toCSV(tt, { subexpressions: true }).split('\n');
+    t.assertEqual(csv[0], "A,B,C,A',A'B,AC,Output");
+    t.assertEqual(csv[6], '1,0,1,0,0,1,1');
+    t.assertTrue(ttGen.toText(tt, { subexpressions: true }).startsWith("A   B   C   A'  A'B  AC  Output\n"));
+
+    const html = ttGen.renderHTML(tt, 0, { subexpressions: true });
+    t.assertTrue(html.includes('<button class="subexpr-toggle" data-group="0"'));
+    t.assertTrue(html.includes('class="subexpr subexpr-inner" data-group="0">A\'</th>'));
+
+    const folded = ttGen.renderHTML(tt, 0, { subexpressions: true, collapsed: [0] });
+    t.assertTrue(!folded.includes('subexpr-inner'));
+    t.assertTrue(folded.includes('title="Expand">+</button> A\'B</th>'));
+
+    // Minterm lists have no subexpressions
+    t.assertEqual(ttGen.generate(parser.parse('Σm(1,2)')).subexpressions, []);
+});
+
+runner.test('TruthTable: Markdown and LaTeX renderings with several outputs', (t) => {
+    const ttGen = new TruthTableGenerator();
+    const f = ttGen.generateFromOutputs(['A', 'B'], [0, 1, 1, 'X'], [3]);
+    const g = ttGen.generateFromOutputs(['A', 'B'], [0, 0, 0, 1]);
+
+    const markdown = ttGen.toMarkdown([f, g], ['F', 'G']).split('\n');
+    t.assertEqual(markdown[0], '| A | B | F | G |');
+    t.assertEqual(markdown[1], '| :-: | :-: | :-: | :-: |');
+    t.assertEqual(markdown[5], '| 1 | 1 | X | 1 |');
+
+    const latex = ttGen.toLaTeX(f, ['out_1']);
+    t.assertTrue(latex.startsWith('\\begin{tabular}{cc@{\\qquad}c}\n\\toprule\n'));
+    t.assertTrue(latex.includes('$A$ & $B$ & \\textit{out\\_1} \\\\\n\\midrule\n'));
+    t.assertTrue(latex.includes('1 & 0 & 1 \\\\\n'));
+    t.assertTrue(latex.endsWith('\\bottomrule\n\\end{tabular}\n'));
+
+    let message = '';
+    try {
+        ttGen.toMarkdown([f, ttGen.generateFromOutputs(['A', 'C'], [0, 0, 0, 1])]);
+    } catch (error) {
+        message = error.message;
+    }
+    t.assertTrue(message.includes('same input variables'));
+});
+
+runner.test('TruthTable: Cube listing keeps only on and don\'t-care rows', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const options = { variables: ['A', 'B', 'C'] };
+    const f = ttGen.generate(parser.parse('A', options));
+    const g = ttGen.generate(parser.parse('BC', options));
+
+    // Rows 100, 101 and 110 share F G = 10; the cubes may overlap at 100
+    t.assertEqual(ttGen.toCubes([f, g], ['F', 'G']),
+        '# A B C | F G\n011 01\n1-0 10\n10- 10\n111 11\n');
+    t.assertEqual(ttGen.toCubes(f), '# A B C | F\n1-- 1\n');
+
+    const partial = ttGen.generateFromOutputs(['A', 'B'], [0, 'X', 1, 1], [1]);
+    t.assertEqual(ttGen.toCubes(partial), '# A B | F\n01 -\n1- 1\n');
+
+    // Merging is not limited to trailing bits
+    const leading = ttGen.generate(parser.parse("A'D", { variables: ['A', 'B', 'C', 'D'] }));
+    t.assertEqual(ttGen.toCubes(leading), '# A B C D | F\n0--1 1\n');
+});
+
 // ===== K-map Tests =====
 runner.test('KMap: Generate 2-variable K-map', (t) => {
     const parser = new BooleanParser();
@@ -168,6 +714,260 @@ runner.test('KMap: Generate 4-variable K-map', (t) => {
     t.assertEqual(kmap.dimensions.cols, 4);
 });
 
+runner.test('KMap: Cofactor maps beyond 8 variables', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+    const tt = ttGen.generate(parser.parse("ABCDEFGHI + A'I"));
+
+    t.assertEqual(kmapGen.supports(9), false);
+    t.assertEqual(kmapGen.cofactorCount(9), 32);
+
+    // A to E all 0: the map over F,G,H,I is just I
+    const first = kmapGen.generateCofactor(tt, 0);
+    t.assertEqual(first.variables, ['F', 'G', 'H', 'I']);
+    t.assertEqual(first.cofactor.values, { A: 0, B: 0, C: 0, D: 0, E: 0 });
+    t.assertEqual(first.minterms, [1, 3, 5, 7, 9, 11, 13, 15]);
+
+    // A to E all 1: only FGHI
+    t.assertEqual(kmapGen.generateCofactor(tt, 31).minterms, [15]);
+});
+
+runner.test('KMap: Render group outlines and a legend', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+    const simplifier = new KMapSimplifier();
+
+    const kmap = kmapGen.generate(ttGen.generate(parser.parse("AB + B'D'", { variables: ['A', 'B', 'C', 'D'] })));
+    const { groups } = simplifier.simplify(kmap);
+    const html = kmapGen.renderHTML(kmap, groups, 'F-');
+    const pieces = key => html.match(new RegExp(`class="kmap-loop[^"]*" data-kmap-group="${key}"`, 'g')) || [];
+
+    // B'D' is the four corners, each open toward the edges it wraps past
+    const corners = pieces(`F-${groups.findIndex(g => g.term === "B'D'")}`);
+    t.assertEqual(corners.length, 4);
+    t.assertTrue(corners[0].startsWith('class="kmap-loop loop-bottom loop-right"'));
+
+    // AB is one closed row of four pieces
+    const row = pieces(`F-${groups.findIndex(g => g.term === 'AB')}`);
+    t.assertEqual(row.length, 4);
+    t.assertTrue(row[0].startsWith('class="kmap-loop loop-top loop-bottom loop-left"'));
+
+    t.assertTrue(html.includes('<div class="kmap-legend">'));
+    t.assertEqual((html.match(/class="kmap-legend-item"/g) || []).length, 2);
+    t.assertTrue(html.includes(`background: ${kmapGen.groupColor(0)}"></span>${groups[0].term}</span>`));
+
+    // Without groups the map is unchanged
+    t.assertTrue(!kmapGen.renderHTML(kmap).includes('kmap-loop'));
+});
+
+runner.test('KMap: Cells carry their minterm numbers', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+
+    // Every cell's value matches its row of the truth table
+    ['AB', "A'C + B", "AD + B'C", "A'E + BD + C", "AF + B'E + CD'"].forEach(expression => {
+        const tt = ttGen.generate(parser.parse(expression));
+        const html = kmapGen.renderHTML(kmapGen.generate(tt));
+        const cells = [...html.matchAll(/data-minterm="(\d+)">([01X])/g)];
+        t.assertEqual(cells.length, tt.onSet.size);
+        t.assertEqual(cells.map(c => Number(c[1])).sort((a, b) => a - b), [...Array(tt.onSet.size).keys()]);
+        cells.forEach(c => t.assertEqual(String(ttGen.getOutput(tt, Number(c[1]))), c[2]));
+    });
+
+    // Cofactor maps number cells by the full table
+    const big = ttGen.generate(parser.parse('ABCDEFG'));
+    const html = kmapGen.renderHTML(kmapGen.generateCofactor(big, 7));
+    t.assertTrue(html.includes('data-minterm="112"'));
+    t.assertTrue(html.includes('data-minterm="127">1'));
+});
+
+runner.test('KMap: SVG export draws cells, headers and groups', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+    const simplifier = new KMapSimplifier();
+
+    // One cell per minterm, numbered when asked, for every layout
+    ['AB', "A'C + B", "AD + B'C", "A'E + BD + C", "AF + B'E + CD'"].forEach(expression => {
+        const tt = ttGen.generate(parser.parse(expression));
+        const kmap = kmapGen.generate(tt);
+        const svg = kmapGen.renderSVG(kmap, [], { showIndices: true });
+        t.assertTrue(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'));
+        t.assertTrue(/viewBox="0 0 \d+ \d+"/.test(svg));
+        t.assertEqual((svg.match(/stroke="#999"/g) || []).length, tt.onSet.size);
+        const indices = [...svg.matchAll(/font-size="9" fill="#888">(\d+)</g)].map(m => Number(m[1]));
+        t.assertEqual(indices.sort((a, b) => a - b), [...Array(tt.onSet.size).keys()]);
+        t.assertTrue(!kmapGen.renderSVG(kmap).includes('font-size="9"'));
+    });
+
+    const kmap = kmapGen.generate(ttGen.generate(parser.parse("AB + B'D'", { variables: ['A', 'B', 'C', 'D'] })));
+    const { groups } = simplifier.simplify(kmap);
+    const svg = kmapGen.renderSVG(kmap, groups);
+
+    // Corner names the axes; headers are Gray coded
+    t.assertTrue(svg.includes('font-style="italic" fill="#333">AB</text>'));
+    t.assertTrue(svg.includes('font-style="italic" fill="#333">CD</text>'));
+    t.assertEqual([...svg.matchAll(/font-size="13" fill="#333">([01]+)</g)].map(m => m[1]).slice(0, 4),
+        ['00', '01', '11', '10']);
+
+    // B'D' wraps into four corner pieces, AB is one; each group has a legend entry
+    t.assertEqual((svg.match(/rx="12"/g) || []).length, 5);
+    t.assertTrue(svg.includes('<clipPath id="kmap-clip-0">'));
+    groups.forEach((group, index) => {
+        t.assertTrue(svg.includes(`stroke="${kmapGen.groupColor(index)}" stroke-width="3"/>`));
+        t.assertTrue(svg.includes(`fill="#222">${group.term}</text>`));
+    });
+
+    // Six variables: four labelled maps, each with its own clip
+    const six = kmapGen.renderSVG(kmapGen.generate(ttGen.generate(parser.parse('ABCDEF'))));
+    t.assertEqual((six.match(/<clipPath/g) || []).length, 4);
+    t.assertTrue(six.includes('font-weight="bold" fill="#333">AB=11</text>'));
+});
+
+runner.test('KMap: Row and column variables and the mirror layout', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+    const simplifier = new KMapSimplifier();
+
+    const tt = ttGen.generate(parser.parse("AF + B'E + CD'"));
+    const layouts = [
+        {},
+        { style: 'mirror' },
+        { rows: ['F', 'E'], cols: ['A', 'B'] },
+        { rows: ['A'], cols: ['B', 'C', 'D'] }
+    ];
+
+    layouts.forEach(options => {
+        const kmap = kmapGen.generate(tt, options);
+        const cellMinterm = (map, row, col) => kmapGen.getMintermFromPosition(row, col, 6, map, kmap.layout);
+        const grids = Array.isArray(kmap.grid[0][0]) ? kmap.grid : [kmap.grid];
+
+        // Every cell shows its row of the truth table
+        grids.forEach((grid, map) => grid.forEach((values, row) => values.forEach((value, col) => {
+            t.assertEqual(value, ttGen.getOutput(tt, cellMinterm(map, row, col)));
+        })));
+
+        // Groups cover exactly their minterms
+        const { groups } = simplifier.simplify(kmap);
+        t.assertEqual(groups.length, 3);
+        groups.forEach(group => {
+            const cells = [];
+            group.rectangles.forEach(({ map, row, col, height, width }) => {
+                for (let r = row; r < row + height; r++) {
+                    for (let c = col; c < col + width; c++) cells.push(cellMinterm(map, r, c));
+                }
+            });
+            t.assertEqual(cells.sort((a, b) => a - b), group.minterms);
+        });
+    });
+
+    const mirror = kmapGen.generate(tt, { style: 'mirror' });
+    t.assertEqual(mirror.dimensions, { rows: 8, cols: 8 });
+    t.assertEqual(mirror.colLabels, ['000', '001', '011', '010', '110', '111', '101', '100']);
+    t.assertTrue(kmapGen.renderHTML(mirror).includes('mirror-col'));
+
+    const swapped = kmapGen.generate(tt, { rows: ['F', 'E'], cols: ['A', 'B'] });
+    t.assertEqual([swapped.rowVars, swapped.colVars], [['F', 'E'], ['A', 'B']]);
+    t.assertEqual(swapped.mapLabels, ['CD=00', 'CD=01', 'CD=11', 'CD=10']);
+
+    const error = options => {
+        try {
+            kmapGen.generate(tt, options);
+        } catch (e) {
+            return e.message;
+        }
+        return '';
+    };
+    t.assertEqual(error({ rows: ['A', 'B'] }), 'Give both the row and the column variables');
+    t.assertEqual(error({ rows: ['A', 'B'], cols: ['B', 'C'] }), 'B is placed twice');
+    t.assertEqual(error({ rows: ['A', 'B', 'C', 'D'], cols: ['E'] }), 'K-map rows take 0-3 variables (got 4)');
+    t.assertEqual(error({ rows: ['A', 'B'], cols: ['C', 'D'], style: 'mirror' }),
+        'The mirror layout needs 3 variables on the rows or the columns');
+});
+
+runner.test('KMap: One builder from 1 to 8 variables, with cell index and adjacency', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+
+    const one = kmapGen.generate(ttGen.generate(parser.parse("A'")));
+    t.assertEqual(one.grid, [[1, 0]]);
+    t.assertEqual([one.rowVars, one.colVars], [[], ['A']]);
+
+    const eight = kmapGen.generate(ttGen.generate(parser.parse("AH + B'G + CDEF")));
+    t.assertEqual(eight.dimensions, { rows: 4, cols: 4, maps: 16 });
+    t.assertEqual(eight.mapLabels[2], 'ABCD=0011');
+    t.assertEqual(kmapGen.mapPlacement(eight.layout, 2), { across: 2, down: 0 });
+
+    ['A', 'AB', "A'C + B", "AD + B'C", "A'E + BD + C", "AF + B'E + CD'", "ABG + C'F + DE'", "AH + B'G + CDEF"].forEach(expression => {
+        const tt = ttGen.generate(parser.parse(expression));
+        const kmap = kmapGen.generate(tt);
+        const { rows, cols } = kmap.dimensions;
+        const mapBits = kmap.layout.maps.variables.length;
+        const across = Math.pow(2, Math.ceil(mapBits / 2));
+        const down = Math.pow(2, Math.floor(mapBits / 2));
+        const step = (a, b, length) => length === 1 ? a === b : (a - b + length) % length === 1 || (b - a + length) % length === 1;
+
+        tt.onSet.toArray().concat([0, tt.onSet.size - 1]).forEach(m => {
+            // Cell and minterm index agree both ways
+            const cell = kmap.index.cells[m];
+            t.assertEqual(kmap.index.minterms[cell.map][cell.row][cell.col], m);
+
+            // Each adjacent cell is one step away on the grid, or the same cell of a neighbouring sub-map
+            kmapGen.adjacentCells(kmap, m).forEach(next => {
+                const sameMap = next.map === cell.map;
+                const a = kmapGen.mapPlacement(kmap.layout, cell.map);
+                const b = kmapGen.mapPlacement(kmap.layout, next.map);
+                t.assertTrue(sameMap
+                    ? (next.row === cell.row && step(next.col, cell.col, cols)) ||
+                      (next.col === cell.col && step(next.row, cell.row, rows))
+                    : next.row === cell.row && next.col === cell.col &&
+                      ((a.down === b.down && step(a.across, b.across, across)) ||
+                       (a.across === b.across && step(a.down, b.down, down))));
+            });
+        });
+    });
+});
+
+runner.test('KMap: Variable-entered map folds variables into cells', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+
+    const tt = ttGen.generate(parser.parse("A'BE + AC'E' + ABD + CDE"));
+    const kmap = kmapGen.generateEntered(tt, ['E']);
+    t.assertEqual(kmap.variables, ['A', 'B', 'C', 'D']);
+    t.assertEqual(kmap.grid, [
+        [0, 0, 'E', 0],
+        ['E', 'E', 'E', 'E'],
+        ["E'", 1, 1, 0],
+        ["E'", "E'", 'E', 0]
+    ]);
+    t.assertTrue(kmapGen.renderHTML(kmap).includes('<div class="kmap-cell entered" data-minterm="4">E</div>'));
+
+    // Two entered variables; don't cares fill out a cell where they help
+    t.assertEqual(kmapGen.generateEntered(ttGen.generate(parser.parse('E + F + CD')), ['E', 'F']).grid,
+        [['E+F', 'E+F'], ['E+F', 1]]);
+    const dc = ttGen.generate(parser.parse('F(A,B,C) = Σm(1,2) + d(3,6)'));
+    t.assertEqual(kmapGen.generateEntered(dc, ['C']).grid, [['C', 1], [0, 0]]);
+
+    const error = (table, entered) => {
+        try {
+            kmapGen.generateEntered(table, entered);
+        } catch (e) {
+            return e.message;
+        }
+        return '';
+    };
+    t.assertTrue(error(tt, ['Q']).includes('Q is not an input'));
+    t.assertTrue(error(tt, ['A', 'B', 'C']).includes('one or two'));
+    t.assertTrue(error(ttGen.generate(parser.parse('AB')), ['A', 'B']).includes('needs 1-8 map variables (got 0)'));
+});
+
 // ===== Simplifier Tests =====
 runner.test('Simplifier: Handle trivial case - all zeros', (t) => {
     const simplifier = new KMapSimplifier();
@@ -276,5 +1076,413 @@ runner.test('Integration: Truth table input with different patterns', (t) => {
     t.assertTrue(simplified.sop.includes('Y')); // Should simplify to just Y
 });
 
+runner.test('Integration: Simplify past the K-map limit from the truth table', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const simplifier = new KMapSimplifier();
+
+    const tt = ttGen.generate(parser.parse("ABCDEFGH + ABCDEFGH' + I'J"));
+    const simplified = simplifier.simplify(tt);
+
+    t.assertEqual(tt.numVars, 10);
+    t.assertEqual(simplified.sop, "I'J + ABCDEFG");
+});
+
+runner.test('Simplifier: Groups are rectangles on the Gray-coded grid', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+    const simplifier = new KMapSimplifier();
+    const groupsOf = (expression, options = {}) =>
+        simplifier.simplify(kmapGen.generate(ttGen.generate(parser.parse(expression, options)))).groups;
+
+    // AB is row 11 (index 2) across all four columns
+    const [row] = groupsOf('AB + CD').filter(g => g.term === 'AB');
+    t.assertEqual(row.size, 4);
+    t.assertEqual(row.rows, [{ start: 2, length: 1 }]);
+    t.assertEqual(row.cols, [{ start: 0, length: 4 }]);
+    t.assertEqual(row.rectangles, [{ map: 0, row: 2, col: 0, height: 1, width: 4 }]);
+
+    // B'D' is the four corners: both axes wrap
+    const [corners] = groupsOf("B'D'", { variables: ['A', 'B', 'C', 'D'] });
+    t.assertEqual(corners.rows, [{ start: 3, length: 2 }]);
+    t.assertEqual(corners.cols, [{ start: 3, length: 2 }]);
+    t.assertEqual(corners.rectangles.length, 4);
+    t.assertEqual(corners.minterms, [0, 2, 8, 10]);
+
+    // A constant 1 is the whole map
+    const [all] = groupsOf("A + A'", { variables: ['A', 'B', 'C'] });
+    t.assertEqual(all.term, '1');
+    t.assertEqual(all.rectangles, [{ map: 0, row: 0, col: 0, height: 2, width: 4 }]);
+});
+
+runner.test('Simplifier: Groups span sub-maps of 5 and 6 variable maps', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+    const simplifier = new KMapSimplifier();
+    const groupsOf = (expression) =>
+        simplifier.simplify(kmapGen.generate(ttGen.generate(parser.parse(expression)))).groups;
+
+    // A is free: the same two cells in both maps
+    const [five] = groupsOf('F(A,B,C,D,E) = Σm(0,4,16,20)');
+    t.assertEqual(five.term, "B'D'E'");
+    t.assertEqual(five.maps, [0, 1]);
+    t.assertEqual(five.rectangles, [
+        { map: 0, row: 0, col: 0, height: 2, width: 1 },
+        { map: 1, row: 0, col: 0, height: 2, width: 1 }
+    ]);
+
+    // Maps are in Gray order (AB = 00, 01, 11, 10): B' is the first and last map
+    const [six] = groupsOf('F(A,B,C,D,E,G) = Σm(0,2,8,10,32,34,40,42)');
+    t.assertEqual(six.size, 8);
+    t.assertEqual(six.maps, [0, 3]);
+    t.assertEqual(six.rectangles.length, 8);
+
+    // Truth tables have no grid
+    t.assertEqual(simplifier.simplify(ttGen.generate(parser.parse('AB'))).groups, []);
+});
+
+runner.test('Simplifier: Minimized POS from the groups of 0s', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+    const simplifier = new KMapSimplifier();
+
+    const result = simplifier.simplify(kmapGen.generate(ttGen.generate(parser.parse("A'B + BC + AC"))));
+    t.assertEqual(result.pos, "(A + B)·(A' + C)");
+    t.assertEqual(result.posGroups.map(group => [group.term, group.minterms]), [['(A + B)', [0, 1]], ["(A' + C)", [4, 6]]]);
+    t.assertEqual(result.primeImplicates.length, 3);
+
+    // Don't cares join groups of 0s too; single literals need no parentheses
+    const dc = simplifier.simplify(kmapGen.generate(ttGen.generate(parser.parse('F(A,B,C,D) = Σm(1,3,5,7) + d(2,6)'))));
+    t.assertEqual(dc.pos, "D·A'");
+
+    // Constant functions
+    t.assertEqual(simplifier.simplify({ variables: ['A', 'B'], numVars: 2, minterms: [] }).pos, '0');
+    t.assertEqual(simplifier.simplify({ variables: ['A', 'B'], numVars: 2, minterms: [0, 1, 2, 3] }).pos, '1');
+
+    // The POS is the same function, and its groups hold only 0s and don't cares
+    ['AB + CD + A\'C\'D\'', "A'E + BD + C", "AF + B'E + CD'", 'F(A,B,C,D,E) = Σm(0,2,5,7,8,13,15,21,23,31) + d(10,18,26)'].forEach(expression => {
+        const tt = ttGen.generate(parser.parse(expression));
+        const simplified = simplifier.simplify(kmapGen.generate(tt));
+        const pos = ttGen.generate(parser.parse(simplified.pos, { variables: tt.variables }));
+        for (let row = 0; row < tt.onSet.size; row++) {
+            if (!tt.dcSet.has(row)) t.assertEqual(pos.onSet.has(row), tt.onSet.has(row));
+        }
+        simplified.posGroups.forEach(group => {
+            t.assertTrue(group.minterms.every(m => !tt.onSet.has(m)));
+        });
+    });
+});
+
+runner.test('Simplifier: Read SOP from a variable-entered map', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const kmapGen = new KarnaughMap();
+    const simplifier = new KMapSimplifier();
+
+    const tt = ttGen.generate(parser.parse("A'BE + AC'E' + ABD + CDE"));
+    const result = simplifier.simplifyEntered(kmapGen.generateEntered(tt, ['E']));
+    t.assertEqual(result.sop, "ABD + CDE + A'BE + AC'E'");
+    t.assertEqual(result.terms.map(term => term.enteredBinary), ['-', '1', '1', '0']);
+    t.assertEqual(result.groups.map(group => group.term), ['ABD', 'CDE', "A'BE", "AC'E'"]);
+    t.assertEqual(result.check, { equivalent: true, sop: "CDE + A'BE + AC'E' + ABD", literals: 12 });
+    t.assertEqual(result.literals, 12);
+
+    // Every reading covers the same function as Quine-McCluskey, at no extra cost
+    [
+        ["AF + B'E + CD' + A'G", ['G']],
+        ["AB'H + CDG' + EF + A'G'H'", ['G', 'H']],
+        ["A'B'C + ABE' + C'DE", ['A']],
+        ['F(A,B,C,D,E) = Σm(0,2,5,7,8,13,15,21,23,31) + d(10,18,26)', ['B', 'E']]
+    ].forEach(([expression, entered]) => {
+        const reading = simplifier.simplifyEntered(kmapGen.generateEntered(ttGen.generate(parser.parse(expression)), entered));
+        t.assertTrue(reading.check.equivalent);
+        t.assertTrue(reading.literals <= reading.check.literals);
+    });
+    // A map of 1s and don't cares is one group, don't-care cells included
+    const whole = simplifier.simplifyEntered(kmapGen.generateEntered(
+        ttGen.generate(parser.parse('F(A,B,E) = Σm(0,1,2,3,4,5) + d(6,7)')), ['E']));
+    t.assertEqual(whole.sop, '1');
+    t.assertEqual(whole.groups.map(group => group.minterms), [[0, 1, 2, 3]]);
+    t.assertEqual(whole.groups[0].rectangles, [{ map: 0, row: 0, col: 0, height: 2, width: 2 }]);
+});
+
+runner.test('Simplifier: Large functions stay fast', (t) => {
+    const simplifier = new KMapSimplifier();
+    const variables = 'ABCDEFGHIJKL'.split('');
+
+    // A fixed pseudo-random 12-variable function, 30% ones: thousands of
+    // prime implicates, far past what Petrick's method searches
+    let seed = 11;
+    const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+    const minterms = Array.from({ length: 4096 }, (_, m) => m).filter(() => random() < 0.3);
+
+    const start = Date.now();
+    const result = simplifier.simplify({ variables, numVars: 12, minterms });
+    t.assertTrue(Date.now() - start < 5000);
+    t.assertEqual(result.provablyMinimal, false);
+    t.assertTrue(result.essentialPrimeImplicants.every(pi => pi.minterms.every(m => minterms.includes(m))));
+});
+
+runner.test('Simplifier: Exact minimum cover of a cyclic core', (t) => {
+    const simplifier = new KMapSimplifier();
+    const variables = ['A', 'B', 'C', 'D'];
+
+    // No prime implicant is essential for BC'D and A'BD; covering by count
+    // took both and needed five terms
+    const result = simplifier.simplify({ variables, numVars: 4, minterms: [0, 2, 5, 6, 7, 8, 9, 13] });
+    t.assertEqual(result.sop, "B'C'D' + A'CD' + A'BD + AC'D");
+    t.assertEqual(result.provablyMinimal, true);
+    t.assertEqual(result.posProvablyMinimal, true);
+
+    const cyclic = simplifier.simplify({ variables: ['A', 'B', 'C'], numVars: 3, minterms: [0, 1, 2, 5, 6, 7] });
+    t.assertEqual(cyclic.essentialPrimeImplicants.length, 3);
+
+    // Past the limit the rest is covered greedily and not claimed minimal
+    simplifier.petrickLimit = 1;
+    t.assertEqual(simplifier.simplify({ variables: ['A', 'B', 'C'], numVars: 3, minterms: [0, 1, 2, 5, 6, 7] }).provablyMinimal, false);
+    simplifier.petrickLimit = 1000;
+
+    // Cost orders
+    const terms = [{ binary: '1---' }, { binary: '-01-' }];
+    t.assertEqual(simplifier.coverCost(terms), [2, 3]);
+    simplifier.cost = 'literals';
+    t.assertEqual(simplifier.coverCost(terms), [3, 2]);
+
+    simplifier.cost = 'area';
+    const error = () => {
+        try { simplifier.simplify({ variables, numVars: 4, minterms: [1, 2] }); } catch (e) { return e.message; }
+        return '';
+    };
+    t.assertEqual(error(), "Unknown cover cost 'area' (use 'terms' or 'literals')");
+});
+
+// ===== Equivalence Tests =====
+runner.test('Equivalence: Hand-simplified expression matches the original', (t) => {
+    const checker = new EquivalenceChecker();
+    const result = checker.check("A'B + AB + AB'", 'A + B');
+
+    t.assertEqual(result.equivalent, true);
+    t.assertEqual(result.counterexamples, []);
+});
+
+runner.test('Equivalence: Report differing assignments with both outputs', (t) => {
+    const checker = new EquivalenceChecker();
+    const result = checker.check('AB + C', 'AB');
+
+    t.assertEqual(result.equivalent, false);
+    t.assertEqual(result.variables, ['A', 'B', 'C']);
+    t.assertEqual(result.differenceCount, 3);
+    t.assertEqual(result.counterexamples[0], {
+        index: 1,
+        inputs: { A: 0, B: 0, C: 1 },
+        reference: 1,
+        candidate: 0
+    });
+});
+
+runner.test('Equivalence: Union of variable sets', (t) => {
+    const checker = new EquivalenceChecker();
+
+    // The candidate depends on C, which the reference does not use
+    const result = checker.check('A', 'A + BC');
+    t.assertEqual(result.variables, ['A', 'B', 'C']);
+    t.assertEqual(result.differenceCount, 1);
+    t.assertEqual(result.counterexamples[0].inputs, { A: 0, B: 1, C: 1 });
+
+    // A redundant variable on one side is still equivalent
+    t.assertEqual(checker.check("A + BB'", 'A').equivalent, true);
+});
+
+runner.test('Equivalence: Respect don\'t cares of the reference', (t) => {
+    const checker = new EquivalenceChecker();
+
+    // Row 7 is a don't care, so C alone is an acceptable answer
+    t.assertEqual(checker.check('F(A,B,C) = Σm(1,3,5) + d(7)', 'C').equivalent, true);
+    t.assertEqual(checker.check('F(A,B,C) = Σm(1,3,5)', 'C').equivalent, false);
+
+    // Don't cares can also be passed as reference row indices
+    t.assertEqual(checker.check("A'B'C + A'BC + AB'C", 'C', { dontCares: [7] }).equivalent, true);
+});
+
+runner.test('Equivalence: Reject invalid input', (t) => {
+    const checker = new EquivalenceChecker();
+    let message = '';
+    try {
+        checker.check('A + B', 'A + (B');
+    } catch (error) {
+        message = error.message;
+    }
+    t.assertTrue(message.startsWith('Invalid candidate expression'));
+});
+
+runner.test('Equivalence: Limit the combined variables', (t) => {
+    const checker = new EquivalenceChecker();
+    let message = '';
+    try {
+        // Each side fits in a truth table, but together they need 24 variables
+        checker.check('ABCDEFGHIJKL', 'MNOPQRSTUVWX');
+    } catch (error) {
+        message = error.message;
+    }
+    t.assertEqual(message, 'The two expressions use 24 variables between them; an equivalence check supports at most 12');
+
+    // Twelve between them is fine
+    t.assertEqual(checker.check('ABCDEF + GHIJKL', "GHIJKL + ABCDEF + AA'").equivalent, true);
+});
+
+// ===== Algebraic Simplification Tests =====
+runner.test('Algebra: De Morgan, distribution and complement steps', (t) => {
+    const parser = new BooleanParser();
+    const algebra = new AlgebraicSimplifier();
+    const result = algebra.simplify(parser.parse("(AB)'(A + B)"));
+
+    t.assertEqual(result.steps.map(step => step.law),
+        ['De Morgan', 'Distribution', 'Distribution', 'Complement', 'Identity']);
+    t.assertEqual(result.steps[0].expression, "(A' + B')(A + B)");
+    t.assertEqual(result.result, "A'B + AB'");
+});
+
+runner.test('Algebra: Absorption and consensus', (t) => {
+    const parser = new BooleanParser();
+    const algebra = new AlgebraicSimplifier();
+
+    const absorbed = algebra.simplify(parser.parse("A + AB + A'C"));
+    t.assertEqual(absorbed.steps.map(step => step.law), ['Absorption', 'Absorption']);
+    t.assertEqual(absorbed.result, 'A + C');
+
+    const consensus = algebra.simplify(parser.parse("AB + A'C + BC"));
+    t.assertEqual(consensus.steps, [{
+        law: 'Consensus',
+        rule: "XY + X'Z + YZ = XY + X'Z",
+        expression: "AB + A'C"
+    }]);
+});
+
+runner.test('Algebra: Idempotence and operator definitions', (t) => {
+    const parser = new BooleanParser();
+    const algebra = new AlgebraicSimplifier();
+
+    const idempotent = algebra.simplify(parser.parse('A(A + B)B'));
+    t.assertTrue(idempotent.steps.some(step => step.law === 'Idempotence'));
+    t.assertEqual(idempotent.result, 'AB');
+
+    const xor = algebra.simplify(parser.parse('A XOR B'));
+    t.assertEqual(xor.steps[0].law, 'Definition');
+    t.assertEqual(xor.result, "AB' + A'B");
+});
+
+runner.test('Algebra: Products of constant 1s', (t) => {
+    const parser = new BooleanParser();
+    const algebra = new AlgebraicSimplifier();
+
+    // 1·1 is 1, after which the sum is 1
+    const ones = algebra.simplify(parser.parse('11 + A'));
+    t.assertEqual(ones.steps.map(step => [step.law, step.expression]), [['Identity', '1 + A'], ['Null', '1']]);
+    t.assertEqual(algebra.simplify(parser.parse('(A+1)(B+1) + C')).result, '1');
+});
+
+runner.test('Algebra: Result is cross-checked against the K-map minimum', (t) => {
+    const parser = new BooleanParser();
+    const algebra = new AlgebraicSimplifier();
+
+    const result = algebra.simplify(parser.parse("A'B'C + A'BC + ABC + AB'C"));
+    t.assertEqual(result.result, 'C');
+    t.assertEqual(result.crossCheck.equivalent, true);
+    t.assertEqual(result.crossCheck.minimal, true);
+    t.assertEqual(result.crossCheck.kmapSop, 'C');
+
+    const tautology = algebra.simplify(parser.parse("AB + AB' + A'B + A'B'"));
+    t.assertEqual(tautology.result, '1');
+    t.assertEqual(tautology.crossCheck.equivalent, true);
+
+    // Minterm lists have no expression to rewrite
+    let message = '';
+    try {
+        algebra.simplify(parser.parse('Σm(1,2)'));
+    } catch (error) {
+        message = error.message;
+    }
+    t.assertTrue(message.includes('minterm list'));
+});
+
+// ===== PLA Tests =====
+runner.test('PLA: Parse cubes with don\'t cares and multiple outputs', (t) => {
+    const pla = new PLAFormat();
+    const table = pla.parse([
+        '# full adder carry and a partial output',
+        '.i 3',
+        '.o 2',
+        '.ilb a b cin',
+        '.ob cout g',
+        '.p 4',
+        '11- 10',
+        '1-1 10',
+        '-11 10',
+        '00- 0-',
+        '.e'
+    ].join('\n'));
+
+    t.assertEqual(table.variables, ['a', 'b', 'cin']);
+    t.assertEqual(table.outputNames, ['cout', 'g']);
+    t.assertEqual(table.outputs[0], [0, 0, 0, 1, 0, 1, 1, 1]);
+    t.assertEqual(table.outputs[1], ['X', 'X', 0, 0, 0, 0, 0, 0]);
+});
+
+runner.test('PLA: Type fr leaves unlisted rows as don\'t cares', (t) => {
+    const pla = new PLAFormat();
+    const table = pla.parse('.i 2\n.o 1\n.type fr\n11 1\n00 0\n');
+
+    t.assertEqual(table.variables, ['A', 'B']);
+    t.assertEqual(table.outputNames, ['F']);
+    t.assertEqual(table.outputs[0], [0, 'X', 'X', 1]);
+});
+
+runner.test('PLA: Malformed files are rejected', (t) => {
+    const pla = new PLAFormat();
+    const errorOf = (text) => {
+        try {
+            pla.parse(text);
+        } catch (error) {
+            return error.message;
+        }
+        return '';
+    };
+
+    t.assertTrue(errorOf('.o 1\n10 1\n').includes('cube before .i and .o'));
+    t.assertTrue(errorOf('.i 2\n.o 1\n1 1\n').includes('Line 3'));
+    t.assertTrue(errorOf('.i 2\n.o 1\n.p 2\n1- 1\n').includes('.p declares 2'));
+    t.assertTrue(errorOf('.i 2\n.o 1\n.type fr\n1- 1\n10 0\n').includes('both on and off'));
+    t.assertTrue(errorOf('.i 13\n.o 1\n').includes('12'));
+});
+
+runner.test('PLA: Export shares cubes between outputs and round-trips', (t) => {
+    const parser = new BooleanParser();
+    const ttGen = new TruthTableGenerator();
+    const simplifier = new KMapSimplifier();
+    const pla = new PLAFormat();
+
+    const minimize = (expression) =>
+        simplifier.simplify(ttGen.generate(parser.parse(expression, { variables: ['A', 'B', 'C'] })));
+    const outputs = [
+        { name: 'F', simplified: minimize("AB + A'C") },
+        { name: 'G', simplified: minimize('AB') },
+        { name: 'H', simplified: minimize("A + A'") }
+    ];
+    const text = pla.export(outputs, ['A', 'B', 'C']);
+
+    t.assertEqual(text.split('\n').slice(0, 5), ['.i 3', '.o 3', '.ilb A B C', '.ob F G H', '.p 3']);
+    t.assertTrue(text.includes('11- 110\n'));
+    t.assertTrue(text.includes('0-1 100\n'));
+    t.assertTrue(text.includes('--- 001\n'));
+
+    const table = pla.parse(text);
+    t.assertEqual(table.outputs[0], [0, 1, 0, 1, 0, 0, 1, 1]);
+    t.assertEqual(table.outputs[1], [0, 0, 0, 0, 0, 0, 1, 1]);
+    t.assertEqual(table.outputs[2], [1, 1, 1, 1, 1, 1, 1, 1]);
+});
+
 // Run all tests
 runner.run();